@@ -3,15 +3,48 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const adminAuthenticate = require('./adminAuthMiddleware');
+const idempotency = require('./idempotencyMiddleware');
 const User = require('./user');
 const { getWalletBalances } = require('./ethereumWalletUtils');
 const { getPriceInUSD } =require('./priceFetcher');
+const { listActiveLocks, unlockLogin } = require('./loginThrottle');
+const { ADMIN_ROLES, ROLE_PERMISSIONS, getEffectiveRoles, requirePermission } = require('./adminPermissions');
+const AuditLog = require('./auditLog');
+const StakingPlan = require('./stakingPlan');
+const LedgerEntry = require('./ledgerEntry');
+const ReconciliationReport = require('./reconciliationReport');
+const { accounts, move } = require('./ledgerEntry');
+const money = require('./money');
+const { decimalsToNumbers } = require('./money');
+const { runInTransaction, rollback } = require('./transactions');
+const { notifyAdminOfError } = require('./errorNotifier');
+const { getClientIp } = require('./requestUtils');
 const fs = require('fs');
 const path = require('path');
 
 router.use(adminAuthenticate);
 
-router.get('/stats', async (req, res) => {
+// Records who did what to whom. An audit failure must not undo a mutation that already
+// happened, so it is reported to the admin mailbox instead of failing the request.
+async function recordAdminAction(req, { action, targetUserId, before, after, metadata }) {
+  try {
+    await AuditLog.append({
+      actorId: req.user._id,
+      actorUsername: req.user.username,
+      action,
+      targetUserId,
+      before,
+      after,
+      metadata,
+      ip: getClientIp(req)
+    });
+  } catch (err) {
+    console.error(`❌ Failed to write audit log entry for ${action}:`, err);
+    await notifyAdminOfError('Audit Log Write Failed', err, `Action: ${action}, Actor: ${req.user.username} (${req.user._id}), Target: ${targetUserId || '-'}`).catch(console.error);
+  }
+}
+
+router.get('/stats', requirePermission('stats:read'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const kycPending = await User.countDocuments({ kycStatus: 'pending' });
@@ -44,8 +77,8 @@ router.get('/stats', async (req, res) => {
       totalUsers,
       kycPending,
       withdrawalPending,
-      totalCreditsInSystemUSD: totalCredits.toFixed(2),
-      totalActivelyStakedUSD: totalStaked.toFixed(2),
+      totalCreditsInSystemUSD: money.toNumber(totalCredits).toFixed(2),
+      totalActivelyStakedUSD: money.toNumber(totalStaked).toFixed(2),
       adminWallet: adminWalletBalances, // Use the fetched or default balances
     });
   } catch (err) {
@@ -54,14 +87,14 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const skip = (page - 1) * limit;
 
   try {
     const users = await User.find({})
-      .select('_id username email createdAt kycStatus isAdmin isActive credits referralEarnings')
+      .select('_id username email createdAt kycStatus isAdmin adminRoles isActive credits referralEarnings')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -73,37 +106,64 @@ router.get('/users', async (req, res) => {
   }
 });
 
-router.post('/users/:userId/credits', async (req, res) => {
+router.post('/users/:userId/credits', requirePermission('credits:adjust'), idempotency, async (req, res) => {
   const { amount, reason } = req.body;
   if (typeof amount !== 'number' || !reason) {
     return res.status(400).json({ error: 'Amount (number) and reason (string) are required.' });
   }
+  const adjustment = money.parseAmount(amount, { allowZero: true, allowNegative: true });
+  if (adjustment === null) {
+    return res.status(400).json({ error: `Amount must be a plain number with at most ${money.SCALE} decimals.` });
+  }
 
   try {
-    const user = await User.findById(req.params.userId);
+    const user = await User.findById(req.params.userId).select('_id credits');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    user.credits = (user.credits || 0) + amount;
-    user.creditsHistory.push({
-      type: 'admin_adjustment',
-      amount,
-      reason: `Admin adjustment by ${req.user.username}: ${reason}`,
-      date: new Date(),
+    const filter = { _id: user._id };
+    // A deduction must leave the balance at zero or above.
+    if (money.cmp(adjustment, 0) < 0) filter.credits = { $gte: money.negate(adjustment) };
+
+    const updatedUser = await runInTransaction(async (session) => {
+      const adjusted = await User.findOneAndUpdate(
+        filter,
+        { $inc: { credits: adjustment, __v: 1 } },
+        { new: true, select: '_id credits', session }
+      );
+      if (!adjusted) rollback(null);
+
+      await LedgerEntry.post({
+        type: 'admin_adjustment',
+        userId: adjusted._id,
+        postings: move(accounts.treasury, accounts.user(adjusted._id), adjustment),
+        source: { kind: 'admin', id: String(req.user._id) },
+        description: `Admin adjustment by ${req.user.username}: ${reason}`
+      }, { session });
+
+      return adjusted;
+    });
+
+    if (!updatedUser) {
+      return res.status(400).json({ error: 'Adjustment would make the balance negative.', currentBalance: money.toNumber(user.credits || 0) });
+    }
+    const balanceAfter = money.normalize(updatedUser.credits);
+
+    await recordAdminAction(req, {
+      action: 'credits.adjust',
+      targetUserId: updatedUser._id,
+      before: { credits: money.sub(balanceAfter, adjustment) },
+      after: { credits: balanceAfter },
+      metadata: { amount: adjustment, reason }
     });
-     const historyLimit = parseInt(process.env.CREDITS_HISTORY_LIMIT || '1000', 10);
-     if (user.creditsHistory.length > historyLimit) {
-        user.creditsHistory = user.creditsHistory.slice(-historyLimit);
-     }
 
-    await user.save();
-    res.json({ message: 'Credits adjusted successfully.', newBalance: user.credits });
+    res.json({ message: 'Credits adjusted successfully.', newBalance: money.toNumber(balanceAfter) });
   } catch (err) {
     console.error("Admin credit adjust error:", err);
     res.status(500).json({ error: 'Failed to adjust credits' });
   }
 });
 
-router.get('/kyc/pending', async (req, res) => {
+router.get('/kyc/pending', requirePermission('kyc:read'), async (req, res) => {
   try {
     const users = await User.find({ kycStatus: 'pending' })
       .select('_id username email kycStatus kycDocuments createdAt');
@@ -114,37 +174,54 @@ router.get('/kyc/pending', async (req, res) => {
   }
 });
 
-router.post('/kyc/:userId/approve', async (req, res) => {
+router.post('/kyc/:userId/approve', requirePermission('kyc:review'), async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
+    const previous = await User.findByIdAndUpdate(
       req.params.userId,
       { kycStatus: 'approved', kycApproved: true },
-      { new: true, select: '_id kycStatus' }
+      { new: false, select: '_id kycStatus kycApproved' }
     );
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    res.json({ message: 'KYC approved.', user: { id: user._id, kycStatus: user.kycStatus } });
+    if (!previous) return res.status(404).json({ error: 'User not found' });
+
+    await recordAdminAction(req, {
+      action: 'kyc.approve',
+      targetUserId: previous._id,
+      before: { kycStatus: previous.kycStatus, kycApproved: previous.kycApproved },
+      after: { kycStatus: 'approved', kycApproved: true }
+    });
+
+    res.json({ message: 'KYC approved.', user: { id: previous._id, kycStatus: 'approved' } });
   } catch (err) {
     console.error("Admin approve KYC error:", err);
     res.status(500).json({ error: 'Failed to approve KYC' });
   }
 });
 
-router.post('/kyc/:userId/reject', async (req, res) => {
+router.post('/kyc/:userId/reject', requirePermission('kyc:review'), async (req, res) => {
     try {
-      const user = await User.findByIdAndUpdate(
+      const previous = await User.findByIdAndUpdate(
         req.params.userId,
         { kycStatus: 'rejected', kycApproved: false },
-        { new: true, select: '_id kycStatus' }
+        { new: false, select: '_id kycStatus kycApproved' }
       );
-      if (!user) return res.status(404).json({ error: 'User not found' });
-      res.json({ message: 'KYC rejected.', user: { id: user._id, kycStatus: user.kycStatus } });
+      if (!previous) return res.status(404).json({ error: 'User not found' });
+
+      await recordAdminAction(req, {
+        action: 'kyc.reject',
+        targetUserId: previous._id,
+        before: { kycStatus: previous.kycStatus, kycApproved: previous.kycApproved },
+        after: { kycStatus: 'rejected', kycApproved: false },
+        metadata: req.body && req.body.reason ? { reason: req.body.reason } : undefined
+      });
+
+      res.json({ message: 'KYC rejected.', user: { id: previous._id, kycStatus: 'rejected' } });
     } catch (err) {
       console.error("Admin reject KYC error:", err);
       res.status(500).json({ error: 'Failed to reject KYC' });
     }
 });
 
-router.get('/kyc/document/:filename', (req, res) => {
+router.get('/kyc/document/:filename', requirePermission('kyc:documents'), (req, res) => {
   try {
     const { filename } = req.params;
 
@@ -176,7 +253,7 @@ router.get('/kyc/document/:filename', (req, res) => {
   }
 });
 
-router.get('/withdrawals/pending', async (req, res) => {
+router.get('/withdrawals/pending', requirePermission('withdrawals:read'), async (req, res) => {
     try {
       const usersWithPendingWithdrawals = await User.find({
         'withdrawals.status': 'pending'
@@ -199,18 +276,17 @@ router.get('/withdrawals/pending', async (req, res) => {
         const mappedWithdrawals = user.withdrawals
           .filter(w => w.status === 'pending')
           .map(w => {
-            let cryptoAmount = 0;
+            let cryptoAmount = null;
             // Calculate estimated crypto amount based on credits (USD value)
             if (w.asset === 'ETH' && ethPrice > 0) {
-                cryptoAmount = w.amount / ethPrice; // w.amount is in credits (USD)
+                cryptoAmount = money.convertInverse(w.amount, ethPrice); // w.amount is in credits (USD)
             } else if (w.asset === 'USDT' && usdtPrice > 0) {
-                cryptoAmount = w.amount / usdtPrice; // w.amount is in credits (USD)
-            } else {
-                cryptoAmount = NaN; // Cannot calculate if price is zero or unavailable
+                cryptoAmount = money.convertInverse(w.amount, usdtPrice); // w.amount is in credits (USD)
             }
+            // Cannot calculate if price is zero or unavailable
             return {
-              ...w.toObject(),
-              estimatedCryptoAmount: isNaN(cryptoAmount) || cryptoAmount <= 0 ? 'N/A' : cryptoAmount.toFixed(8) // Ensure positive amount for display
+              ...decimalsToNumbers(w),
+              estimatedCryptoAmount: cryptoAmount === null || money.cmp(cryptoAmount, 0) <= 0 ? 'N/A' : cryptoAmount // Ensure positive amount for display
             };
           });
 
@@ -229,7 +305,7 @@ router.get('/withdrawals/pending', async (req, res) => {
     }
 });
 
-router.post('/withdrawals/:userId/complete', async (req, res) => {
+router.post('/withdrawals/:userId/complete', requirePermission('withdrawals:process'), async (req, res) => {
     const { withdrawalId, txHash } = req.body;
     if (!withdrawalId || !txHash) {
       return res.status(400).json({ error: 'withdrawalId and txHash are required.' });
@@ -243,7 +319,7 @@ router.post('/withdrawals/:userId/complete', async (req, res) => {
     try {
       // Use findOneAndUpdate to prevent race conditions
       const updatedUser = await User.findOneAndUpdate(
-          { _id: req.params.userId, 'withdrawals.id': withdrawalId, 'withdrawals.status': 'pending' },
+          { _id: req.params.userId, withdrawals: { $elemMatch: { id: withdrawalId, status: 'pending' } } },
           {
               $set: {
                   'withdrawals.$.status': 'completed',
@@ -271,97 +347,89 @@ router.post('/withdrawals/:userId/complete', async (req, res) => {
 
       const completedWithdrawal = updatedUser.withdrawals.find(w => w.id === withdrawalId);
 
+      await recordAdminAction(req, {
+        action: 'withdrawal.complete',
+        targetUserId: updatedUser._id,
+        before: { withdrawalId, status: 'pending' },
+        after: { withdrawalId, status: 'completed', txHash },
+        metadata: { amount: money.normalize(completedWithdrawal.amount), asset: completedWithdrawal.asset, withdrawalAddress: completedWithdrawal.withdrawalAddress }
+      });
 
-      res.json({ message: 'Withdrawal marked as complete.', withdrawal: completedWithdrawal });
+      res.json({ message: 'Withdrawal marked as complete.', withdrawal: decimalsToNumbers(completedWithdrawal) });
     } catch (err) {
       console.error("Admin complete withdrawal error:", err);
       res.status(500).json({ error: 'Failed to complete withdrawal' });
     }
 });
 
-router.post('/withdrawals/:userId/fail', async (req, res) => {
+router.post('/withdrawals/:userId/fail', requirePermission('withdrawals:process'), async (req, res) => {
     const { withdrawalId, reason } = req.body;
     if (!withdrawalId || !reason || typeof reason !== 'string' || reason.trim().length === 0) {
       return res.status(400).json({ error: 'withdrawalId and a non-empty reason are required.' });
     }
 
     try {
-      // Use findOneAndUpdate to prevent race conditions and handle credits refund atomically
-      const historyLimit = parseInt(process.env.CREDITS_HISTORY_LIMIT || '1000', 10);
-
-      const user = await User.findById(req.params.userId).select('credits withdrawals creditsHistory');
+      const user = await User.findById(req.params.userId).select('credits withdrawals');
       if (!user) {
           return res.status(404).json({ error: 'User not found' });
       }
 
-      const withdrawalIndex = user.withdrawals.findIndex(w => w.id === withdrawalId);
-      if (withdrawalIndex === -1) {
+      const withdrawal = user.withdrawals.find(w => w.id === withdrawalId);
+      if (!withdrawal) {
           return res.status(404).json({ error: 'Withdrawal request not found' });
       }
 
-      const withdrawal = user.withdrawals[withdrawalIndex];
-
       if (withdrawal.status !== 'pending') {
         return res.status(400).json({ error: `Withdrawal is already in status: ${withdrawal.status}` });
       }
 
-      const amountToRefund = withdrawal.amount;
-
-       // Prepare updates
-       const update = {
-           $set: {
-               [`withdrawals.${withdrawalIndex}.status`]: 'failed',
-               [`withdrawals.${withdrawalIndex}.processedDate`]: new Date()
-           }
-       };
-
-       // Atomically update credits and push history
-       update.$inc = { credits: amountToRefund };
-       update.$push = {
-           creditsHistory: {
-               $each: [{
-                   type: 'withdrawal_refund',
-                   amount: amountToRefund,
-                   reason: `Refund for failed withdrawal (ID: ${withdrawalId}). Admin reason: ${reason}`,
-                   date: new Date()
-               }],
-               $sort: { date: 1 } // Keep history sorted by date ascending before slicing
-           }
-       };
-
-       // Apply history limit using $slice
-       // Note: $slice must be applied to the *end* for 'last N items'.
-       // Mongoose/MongoDB $slice on $push can be complex with sorting.
-       // An alternative is to manually manage the array after update or use aggregation frameworks.
-       // For simplicity here, we rely on the cron job or a separate process to trim history if it exceeds limit significantly,
-       // or implement more complex update logic. Let's stick to a simple slice after the push for now, acknowledging a slight race window.
-
-       // Execute update
-      const updatedUser = await User.findByIdAndUpdate(
-          req.params.userId,
-          update,
-          { new: true, select: 'credits withdrawals creditsHistory' }
-      );
+      const amountToRefund = money.normalize(withdrawal.amount);
+
+      // The update matches the withdrawal by id and only while it is still pending, so a
+      // concurrent complete/fail can't be refunded twice; the refund and its ledger entry
+      // commit together.
+      const updatedUser = await runInTransaction(async (session) => {
+          const refunded = await User.findOneAndUpdate(
+              { _id: req.params.userId, withdrawals: { $elemMatch: { id: withdrawalId, status: 'pending' } } },
+              {
+                  $set: {
+                      'withdrawals.$.status': 'failed',
+                      'withdrawals.$.processedDate': new Date()
+                  },
+                  $inc: { credits: amountToRefund, __v: 1 }
+              },
+              { new: true, select: 'credits withdrawals', session }
+          );
+          if (!refunded) rollback(null);
+
+          await LedgerEntry.post({
+              type: 'withdrawal_refund',
+              userId: refunded._id,
+              postings: move(accounts.treasury, accounts.user(refunded._id), amountToRefund),
+              source: { kind: 'withdrawal', id: withdrawalId },
+              description: `Refund for failed withdrawal (ID: ${withdrawalId}). Admin reason: ${reason}`,
+              dedupeKey: `withdrawal_refund:${withdrawalId}`
+          }, { session });
+
+          return refunded;
+      });
 
       if (!updatedUser) {
-           // This should ideally not happen if user was found initially, but for robustness:
-           return res.status(500).json({ error: 'Failed to update user document after refund.' });
-      }
-
-      // Manually trim history AFTER the update if needed
-      if (updatedUser.creditsHistory.length > historyLimit) {
-           updatedUser.creditsHistory = updatedUser.creditsHistory.slice(-historyLimit); // Keep the last N
-           await updatedUser.save().catch(saveErr => {
-               console.error(`Error saving user history after withdrawal fail refund ${req.params.userId}:`, saveErr);
-               // Log the error but don't fail the response, as the main credit/withdrawal update succeeded.
-           });
+          return res.status(409).json({ error: 'Withdrawal was processed by someone else in the meantime.' });
       }
 
+      await recordAdminAction(req, {
+        action: 'withdrawal.fail',
+        targetUserId: updatedUser._id,
+        before: { withdrawalId, status: 'pending', credits: money.normalize(user.credits || 0) },
+        after: { withdrawalId, status: 'failed', credits: money.normalize(updatedUser.credits) },
+        metadata: { reason, refundedAmount: amountToRefund, asset: withdrawal.asset }
+      });
 
       res.json({
           message: 'Withdrawal marked as failed and credits have been refunded.',
-          newCreditBalance: updatedUser.credits,
-          failedWithdrawal: updatedUser.withdrawals.find(w => w.id === withdrawalId)
+          newCreditBalance: money.toNumber(updatedUser.credits),
+          failedWithdrawal: decimalsToNumbers(updatedUser.withdrawals.find(w => w.id === withdrawalId))
       });
     } catch (err) {
       console.error("Admin fail withdrawal error:", err);
@@ -369,4 +437,541 @@ router.post('/withdrawals/:userId/fail', async (req, res) => {
     }
 });
 
+router.get('/login-locks', requirePermission('security:manage'), async (req, res) => {
+    try {
+      const locks = await listActiveLocks();
+      res.json({ locks });
+    } catch (err) {
+      console.error("Admin fetch login locks error:", err);
+      res.status(500).json({ error: 'Failed to fetch login lockouts' });
+    }
+});
+
+router.post('/login-locks/unlock', requirePermission('security:manage'), async (req, res) => {
+    const { identifier, ip } = req.body;
+    if (!identifier && !ip) {
+      return res.status(400).json({ error: 'identifier or ip is required.' });
+    }
+
+    try {
+      const cleared = await unlockLogin({ identifier, ip });
+      await recordAdminAction(req, {
+        action: 'login_lock.unlock',
+        metadata: { identifier, ip, cleared }
+      });
+      console.log(`🔓 Admin ${req.user.username} cleared login lockout (identifier: ${identifier || '-'}, ip: ${ip || '-'}).`);
+      res.json({ message: 'Login lockout cleared.', cleared });
+    } catch (err) {
+      console.error("Admin unlock login error:", err);
+      res.status(500).json({ error: 'Failed to clear login lockout' });
+    }
+});
+
+router.get('/roles', requirePermission('roles:manage'), (req, res) => {
+    res.json({ roles: ADMIN_ROLES, permissions: ROLE_PERMISSIONS });
+});
+
+router.get('/me', (req, res) => {
+    const roles = getEffectiveRoles(req.user);
+    const permissions = [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role]))];
+    res.json({ id: req.user._id, username: req.user.username, roles, permissions });
+});
+
+async function countSuperadmins() {
+    // Legacy admins without explicit roles count as superadmins while LEGACY_ADMIN_ROLE is superadmin.
+    const admins = await User.find({ isAdmin: true }).select('isAdmin adminRoles');
+    return admins.filter(admin => getEffectiveRoles(admin).includes('superadmin')).length;
+}
+
+router.post('/users/:userId/roles', requirePermission('roles:manage'), async (req, res) => {
+    const { role } = req.body;
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    try {
+      const user = await User.findById(req.params.userId).select('_id username isAdmin adminRoles');
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const roles = getEffectiveRoles(user);
+      if (roles.includes(role)) {
+        return res.status(400).json({ error: `User already has the ${role} role.` });
+      }
+
+      user.adminRoles = [...roles, role];
+      user.isAdmin = true;
+      await user.save();
+
+      await recordAdminAction(req, {
+        action: 'role.grant',
+        targetUserId: user._id,
+        before: { adminRoles: roles },
+        after: { adminRoles: user.adminRoles },
+        metadata: { role }
+      });
+
+      console.log(`🛡️ Admin ${req.user.username} granted ${role} to ${user.username} (${user._id}).`);
+      res.json({ message: `Role ${role} granted.`, user: { id: user._id, username: user.username, adminRoles: user.adminRoles } });
+    } catch (err) {
+      console.error("Admin grant role error:", err);
+      res.status(500).json({ error: 'Failed to grant role' });
+    }
+});
+
+router.delete('/users/:userId/roles/:role', requirePermission('roles:manage'), async (req, res) => {
+    const { role } = req.params;
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    try {
+      const user = await User.findById(req.params.userId).select('_id username isAdmin adminRoles');
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const roles = getEffectiveRoles(user);
+      if (!roles.includes(role)) {
+        return res.status(400).json({ error: `User does not have the ${role} role.` });
+      }
+      if (role === 'superadmin') {
+        if (String(user._id) === String(req.user._id)) {
+          return res.status(400).json({ error: 'You cannot revoke your own superadmin role.' });
+        }
+        if (await countSuperadmins() <= 1) {
+          return res.status(400).json({ error: 'Cannot revoke the last superadmin.' });
+        }
+      }
+
+      user.adminRoles = roles.filter(existing => existing !== role);
+      user.isAdmin = user.adminRoles.length > 0;
+      await user.save();
+
+      await recordAdminAction(req, {
+        action: 'role.revoke',
+        targetUserId: user._id,
+        before: { adminRoles: roles },
+        after: { adminRoles: user.adminRoles.slice() },
+        metadata: { role }
+      });
+
+      console.log(`🛡️ Admin ${req.user.username} revoked ${role} from ${user.username} (${user._id}).`);
+      res.json({ message: `Role ${role} revoked.`, user: { id: user._id, username: user.username, adminRoles: user.adminRoles, isAdmin: user.isAdmin } });
+    } catch (err) {
+      console.error("Admin revoke role error:", err);
+      res.status(500).json({ error: 'Failed to revoke role' });
+    }
+});
+
+const PLAN_TERM_FIELDS = ['name', 'duration', 'minCredits', 'rewardPercent'];
+
+// Validates the plan terms present in body. With `requireAll`, every term must be given.
+function parsePlanTerms(body, { requireAll }) {
+  const terms = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) return { error: 'name must be a non-empty string.' };
+    terms.name = body.name.trim();
+  }
+  if (body.duration !== undefined) {
+    if (!Number.isInteger(body.duration) || body.duration < 1) return { error: 'duration must be a positive whole number of days.' };
+    terms.duration = body.duration;
+  }
+  for (const field of ['minCredits', 'rewardPercent']) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'number' || !isFinite(body[field]) || body[field] < 0) return { error: `${field} must be a non-negative number.` };
+      terms[field] = body[field];
+    }
+  }
+  for (const field of ['maxStakePerUser', 'maxConcurrentStakes', 'globalCap']) {
+    if (body[field] !== undefined) {
+      const value = body[field];
+      if (value !== null && (typeof value !== 'number' || !isFinite(value) || value <= 0)) {
+        return { error: `${field} must be a positive number, or null for no limit.` };
+      }
+      if (field === 'maxConcurrentStakes' && value !== null && !Number.isInteger(value)) {
+        return { error: 'maxConcurrentStakes must be a whole number.' };
+      }
+      terms[field] = value;
+    }
+  }
+  if (body.earlyUnstake !== undefined) {
+    const { earlyUnstake, error } = parseEarlyUnstakeTerms(body.earlyUnstake);
+    if (error) return { error };
+    terms.earlyUnstake = earlyUnstake;
+  }
+  if (requireAll) {
+    const missing = PLAN_TERM_FIELDS.filter(field => terms[field] === undefined);
+    if (missing.length > 0) return { error: `Missing required fields: ${missing.join(', ')}` };
+  }
+  if (body.effectiveFrom !== undefined) {
+    const effectiveFrom = new Date(body.effectiveFrom);
+    if (isNaN(effectiveFrom.getTime())) return { error: 'effectiveFrom must be a valid date.' };
+    terms.effectiveFrom = effectiveFrom;
+  }
+  return { terms };
+}
+
+function parseEarlyUnstakeTerms(input) {
+  if (!input || typeof input !== 'object') return { error: 'earlyUnstake must be an object.' };
+  const { allowed, forfeitPaidRewards = false, feeSchedule = [] } = input;
+  if (typeof allowed !== 'boolean' || typeof forfeitPaidRewards !== 'boolean') {
+    return { error: 'earlyUnstake.allowed and earlyUnstake.forfeitPaidRewards must be booleans.' };
+  }
+  if (!Array.isArray(feeSchedule)) return { error: 'earlyUnstake.feeSchedule must be an array.' };
+  for (const tier of feeSchedule) {
+    if (!tier || !Number.isInteger(tier.minDaysStaked) || tier.minDaysStaked < 0) {
+      return { error: 'Each fee tier needs minDaysStaked as a non-negative whole number.' };
+    }
+    if (typeof tier.feePercent !== 'number' || tier.feePercent < 0 || tier.feePercent > 100) {
+      return { error: 'Each fee tier needs feePercent between 0 and 100.' };
+    }
+  }
+  const minDays = feeSchedule.map(tier => tier.minDaysStaked);
+  if (new Set(minDays).size !== minDays.length) return { error: 'Fee tiers must have distinct minDaysStaked values.' };
+
+  return {
+    earlyUnstake: {
+      allowed,
+      forfeitPaidRewards,
+      feeSchedule: feeSchedule
+        .map(tier => ({ minDaysStaked: tier.minDaysStaked, feePercent: tier.feePercent }))
+        .sort((a, b) => a.minDaysStaked - b.minDaysStaked)
+    }
+  };
+}
+
+// The version in force is the highest one whose effectiveFrom has passed, so a new version
+// dated before a scheduled one would cancel it for good. That takes `supersede: true`, and the
+// new version then starts from the terms in force at its effectiveFrom, not the cancelled ones.
+// Returns { latest, base } or { status, error }.
+async function findBaseVersion(planId, effectiveFrom, supersede) {
+  const latest = await StakingPlan.findLatestVersion(planId);
+  if (!latest) return { status: 404, error: 'Staking plan not found' };
+
+  const scheduled = latest.effectiveFrom > new Date();
+  if (!scheduled || latest.effectiveFrom <= effectiveFrom) return { latest, base: latest };
+  if (supersede !== true) {
+    return {
+      status: 409,
+      error: `Version ${latest.version} is scheduled for ${latest.effectiveFrom.toISOString()}; a version taking effect before it would cancel it. Pass supersede: true to replace it.`
+    };
+  }
+
+  const base = await StakingPlan.findOne({ planId, effectiveFrom: { $lte: effectiveFrom } }).sort({ version: -1 });
+  return { latest, base: base || latest };
+}
+
+function planSnapshot(plan) {
+  return plan ? {
+    version: plan.version,
+    status: plan.status,
+    name: plan.name,
+    duration: plan.duration,
+    minCredits: plan.minCredits,
+    rewardPercent: plan.rewardPercent,
+    earlyUnstake: plan.earlyUnstake ? plan.earlyUnstake.toObject() : null,
+    maxStakePerUser: plan.maxStakePerUser,
+    maxConcurrentStakes: plan.maxConcurrentStakes,
+    globalCap: plan.globalCap,
+    effectiveFrom: plan.effectiveFrom
+  } : null;
+}
+
+router.get('/staking-plans', requirePermission('plans:read'), async (req, res) => {
+    try {
+      const filter = req.query.planId ? { planId: String(req.query.planId) } : {};
+      const [versions, current] = await Promise.all([
+        StakingPlan.find(filter).sort({ planId: 1, version: -1 }),
+        StakingPlan.findCurrentVersions()
+      ]);
+      const currentVersionByPlan = new Map(current.map(plan => [plan.planId, plan.version]));
+
+      res.json({
+        plans: versions.map(plan => ({
+          ...plan.toObject(),
+          inEffect: currentVersionByPlan.get(plan.planId) === plan.version
+        }))
+      });
+    } catch (err) {
+      console.error("Admin fetch staking plans error:", err);
+      res.status(500).json({ error: 'Failed to fetch staking plans' });
+    }
+});
+
+router.post('/staking-plans', requirePermission('plans:manage'), async (req, res) => {
+    const { planId } = req.body;
+    if (!planId || typeof planId !== 'string') {
+      return res.status(400).json({ error: 'planId is required.' });
+    }
+    const { terms, error } = parsePlanTerms(req.body, { requireAll: true });
+    if (error) return res.status(400).json({ error });
+
+    try {
+      if (await StakingPlan.exists({ planId })) {
+        return res.status(409).json({ error: `Plan ${planId} already exists. Use PUT to publish a new version.` });
+      }
+
+      const plan = await StakingPlan.create({ planId, version: 1, status: 'active', ...terms, createdBy: req.user._id });
+
+      await recordAdminAction(req, {
+        action: 'staking_plan.create',
+        after: { planId, ...planSnapshot(plan) }
+      });
+
+      res.status(201).json({ message: 'Staking plan created.', plan });
+    } catch (err) {
+      console.error("Admin create staking plan error:", err);
+      if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+      if (err.code === 11000) return res.status(409).json({ error: `Plan ${planId} already exists.` });
+      res.status(500).json({ error: 'Failed to create staking plan' });
+    }
+});
+
+// Publishes a new version. Fields left out are carried over from the latest version;
+// existing stakes keep the terms of the version they were opened under.
+router.put('/staking-plans/:planId', requirePermission('plans:manage'), async (req, res) => {
+    const { terms, error } = parsePlanTerms(req.body, { requireAll: false });
+    if (error) return res.status(400).json({ error });
+    if (req.body.supersede !== undefined && typeof req.body.supersede !== 'boolean') {
+      return res.status(400).json({ error: 'supersede must be a boolean.' });
+    }
+
+    try {
+      const effectiveFrom = terms.effectiveFrom || new Date();
+      const { latest, base, status, error: versionError } = await findBaseVersion(req.params.planId, effectiveFrom, req.body.supersede);
+      if (versionError) return res.status(status).json({ error: versionError });
+
+      const plan = await StakingPlan.create({
+        planId: latest.planId,
+        version: latest.version + 1,
+        status: 'active',
+        name: base.name,
+        duration: base.duration,
+        minCredits: base.minCredits,
+        rewardPercent: base.rewardPercent,
+        earlyUnstake: base.earlyUnstake,
+        maxStakePerUser: base.maxStakePerUser,
+        maxConcurrentStakes: base.maxConcurrentStakes,
+        globalCap: base.globalCap,
+        ...terms,
+        effectiveFrom,
+        createdBy: req.user._id
+      });
+
+      await recordAdminAction(req, {
+        action: 'staking_plan.update',
+        before: { planId: latest.planId, ...planSnapshot(latest) },
+        after: { planId: plan.planId, ...planSnapshot(plan) }
+      });
+
+      res.json({ message: `Staking plan version ${plan.version} published.`, plan });
+    } catch (err) {
+      console.error("Admin update staking plan error:", err);
+      if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+      if (err.code === 11000) return res.status(409).json({ error: 'The plan was changed concurrently. Please retry.' });
+      res.status(500).json({ error: 'Failed to update staking plan' });
+    }
+});
+
+router.post('/staking-plans/:planId/retire', requirePermission('plans:manage'), async (req, res) => {
+    const { terms, error } = parsePlanTerms({ effectiveFrom: req.body.effectiveFrom }, { requireAll: false });
+    if (error) return res.status(400).json({ error });
+    if (req.body.supersede !== undefined && typeof req.body.supersede !== 'boolean') {
+      return res.status(400).json({ error: 'supersede must be a boolean.' });
+    }
+
+    try {
+      const effectiveFrom = terms.effectiveFrom || new Date();
+      const { latest, base, status, error: versionError } = await findBaseVersion(req.params.planId, effectiveFrom, req.body.supersede);
+      if (versionError) return res.status(status).json({ error: versionError });
+      if (base.status === 'retired') {
+        return res.status(400).json({ error: 'Staking plan is already retired.' });
+      }
+
+      const plan = await StakingPlan.create({
+        planId: latest.planId,
+        version: latest.version + 1,
+        status: 'retired',
+        name: base.name,
+        duration: base.duration,
+        minCredits: base.minCredits,
+        rewardPercent: base.rewardPercent,
+        earlyUnstake: base.earlyUnstake,
+        maxStakePerUser: base.maxStakePerUser,
+        maxConcurrentStakes: base.maxConcurrentStakes,
+        globalCap: base.globalCap,
+        effectiveFrom,
+        createdBy: req.user._id
+      });
+
+      await recordAdminAction(req, {
+        action: 'staking_plan.retire',
+        before: { planId: latest.planId, ...planSnapshot(latest) },
+        after: { planId: plan.planId, ...planSnapshot(plan) }
+      });
+
+      res.json({ message: 'Staking plan retired. Existing stakes are unaffected.', plan });
+    } catch (err) {
+      console.error("Admin retire staking plan error:", err);
+      if (err.code === 11000) return res.status(409).json({ error: 'The plan was changed concurrently. Please retry.' });
+      res.status(500).json({ error: 'Failed to retire staking plan' });
+    }
+});
+
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const { actorId, targetUserId, action, from, to } = req.query;
+
+    const filter = {};
+    for (const [field, value] of [['actorId', actorId], ['targetUserId', targetUserId]]) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({ error: `Invalid ${field}` });
+        }
+        filter[field] = value;
+      }
+    }
+    if (action !== undefined) {
+      // A repeated query parameter arrives as an array.
+      if (typeof action !== 'string' || !/^[a-z_]+(\.[a-z_]+)*$/i.test(action)) {
+        return res.status(400).json({ error: 'action must be an action name such as "kyc" or "kyc.approve".' });
+      }
+      // "kyc" matches every kyc.* action, "kyc.approve" matches exactly.
+      filter.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+    }
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+      if (Object.values(filter.timestamp).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'Invalid from/to date' });
+      }
+    }
+
+    try {
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter).sort({ seq: -1 }).skip(skip).limit(limit),
+        AuditLog.countDocuments(filter)
+      ]);
+      res.json({ entries, total, page, pages: Math.ceil(total / limit) });
+    } catch (err) {
+      console.error("Admin fetch audit log error:", err);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+router.get('/audit/verify', requirePermission('audit:read'), async (req, res) => {
+    try {
+      const result = await AuditLog.verifyChain();
+      if (!result.valid) {
+        await notifyAdminOfError('Audit Log Chain Broken', null, `Verification failed at seq ${result.brokenAtSeq}: ${result.reason}. Requested by ${req.user.username}.`).catch(console.error);
+      }
+      res.json(result);
+    } catch (err) {
+      console.error("Admin verify audit log error:", err);
+      res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+});
+
+// Nightly balance reconciliation reports (written by cronJobs.js), newest first.
+router.get('/reconciliation/reports', requirePermission('reconciliation:read'), async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    try {
+      const [reports, total] = await Promise.all([
+        ReconciliationReport.find().select('-discrepancies').sort({ startedAt: -1 }).skip(skip).limit(limit),
+        ReconciliationReport.countDocuments()
+      ]);
+      res.json({ reports, total, page, pages: Math.ceil(total / limit) });
+    } catch (err) {
+      console.error("Admin fetch reconciliation reports error:", err);
+      res.status(500).json({ error: 'Failed to fetch reconciliation reports' });
+    }
+});
+
+// One report with its discrepancies; `latest` for the most recent run, ?status=open|resolved to filter.
+router.get('/reconciliation/reports/:reportId', requirePermission('reconciliation:read'), async (req, res) => {
+    const { reportId } = req.params;
+    const { status } = req.query;
+    if (reportId !== 'latest' && !mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({ error: 'Invalid report ID' });
+    }
+    if (status && !['open', 'resolved'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'open' or 'resolved'" });
+    }
+
+    try {
+      const report = reportId === 'latest'
+        ? await ReconciliationReport.findOne().sort({ startedAt: -1 })
+        : await ReconciliationReport.findById(reportId);
+      if (!report) return res.status(404).json({ error: 'Reconciliation report not found' });
+
+      const result = report.toJSON();
+      if (status) result.discrepancies = result.discrepancies.filter(discrepancy => discrepancy.status === status);
+      res.json(result);
+    } catch (err) {
+      console.error("Admin fetch reconciliation report error:", err);
+      res.status(500).json({ error: 'Failed to fetch reconciliation report' });
+    }
+});
+
+// Marks a discrepancy as dealt with. Corrections themselves go through the credits endpoint;
+// the note records what was done or why the difference is expected.
+router.post('/reconciliation/reports/:reportId/discrepancies/:discrepancyId/resolve', requirePermission('reconciliation:resolve'), async (req, res) => {
+    const { reportId, discrepancyId } = req.params;
+    const { note } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(reportId) || !mongoose.Types.ObjectId.isValid(discrepancyId)) {
+      return res.status(400).json({ error: 'Invalid report or discrepancy ID' });
+    }
+    if (!note || typeof note !== 'string' || note.trim().length === 0) {
+      return res.status(400).json({ error: 'A non-empty resolution note is required.' });
+    }
+
+    try {
+      const report = await ReconciliationReport.findOneAndUpdate(
+        { _id: reportId, discrepancies: { $elemMatch: { _id: discrepancyId, status: 'open' } } },
+        {
+          $set: {
+            'discrepancies.$.status': 'resolved',
+            'discrepancies.$.resolvedBy': req.user._id,
+            'discrepancies.$.resolvedByUsername': req.user.username,
+            'discrepancies.$.resolvedAt': new Date(),
+            'discrepancies.$.resolutionNote': note.trim()
+          },
+          $inc: { openCount: -1 }
+        },
+        { new: true, projection: { openCount: 1, discrepancies: { $elemMatch: { _id: discrepancyId } } } }
+      );
+
+      if (!report) {
+        const exists = await ReconciliationReport.exists({ _id: reportId, 'discrepancies._id': discrepancyId });
+        return exists
+          ? res.status(400).json({ error: 'Discrepancy is already resolved.' })
+          : res.status(404).json({ error: 'Discrepancy not found' });
+      }
+
+      const discrepancy = report.discrepancies[0];
+      await recordAdminAction(req, {
+        action: 'reconciliation.resolve',
+        targetUserId: discrepancy.userId,
+        before: { reportId, discrepancyId, status: 'open' },
+        after: { reportId, discrepancyId, status: 'resolved' },
+        metadata: {
+          kind: discrepancy.kind,
+          recordId: discrepancy.recordId,
+          expected: money.normalize(discrepancy.expected),
+          actual: money.normalize(discrepancy.actual),
+          note: note.trim()
+        }
+      });
+
+      res.json({ message: 'Discrepancy resolved.', discrepancy: decimalsToNumbers(discrepancy), openCount: report.openCount });
+    } catch (err) {
+      console.error("Admin resolve reconciliation discrepancy error:", err);
+      res.status(500).json({ error: 'Failed to resolve discrepancy' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
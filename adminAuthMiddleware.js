@@ -1,6 +1,7 @@
 // adminAuthMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('./user');
+const Session = require('./session');
 
 async function adminAuthenticate(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -13,6 +14,10 @@ async function adminAuthenticate(req, res, next) {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      // Challenge tokens (e.g. the 2FA login step) are not access tokens.
+      return res.status(401).json({ error: 'Invalid authentication token' });
+    }
     const user = await User.findById(decoded.userId);
 
     if (!user) {
@@ -23,7 +28,24 @@ async function adminAuthenticate(req, res, next) {
       return res.status(403).json({ error: 'Forbidden: Admin access required' });
     }
 
+    if (!user.twoFactorEnabled) {
+      return res.status(403).json({
+        error: 'Forbidden: Admin accounts must enable two-factor authentication. Enroll via /api/2fa/setup.',
+        code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+      });
+    }
+
+    if (user.isTokenIssuedBeforePasswordChange(decoded.iat)) {
+      return res.status(401).json({ error: 'Session expired after a password change. Please log in again.' });
+    }
+
+    const session = decoded.sid ? await Session.findActiveSession(decoded.sid, user._id) : null;
+    if (!session) {
+      return res.status(401).json({ error: 'Session has been revoked or expired. Please log in again.' });
+    }
+
     req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
     req.user = user; // Attach the user document for easy access (e.g., username in admin adjustments)
     next();
   } catch (err) {
@@ -0,0 +1,70 @@
+// adminPermissions.js
+const ADMIN_ROLES = ['support', 'compliance', 'finance', 'superadmin'];
+
+const PERMISSIONS = [
+  'stats:read',
+  'users:read',
+  'credits:adjust',
+  'kyc:read',
+  'kyc:review',
+  'kyc:documents',
+  'withdrawals:read',
+  'withdrawals:process',
+  'security:manage',
+  'roles:manage',
+  'audit:read',
+  'plans:read',
+  'plans:manage',
+  'reconciliation:read',
+  'reconciliation:resolve'
+];
+
+const ROLE_PERMISSIONS = {
+  support: ['stats:read', 'users:read', 'withdrawals:read', 'security:manage', 'plans:read'],
+  compliance: ['users:read', 'kyc:read', 'kyc:review', 'kyc:documents', 'audit:read'],
+  finance: ['stats:read', 'users:read', 'credits:adjust', 'withdrawals:read', 'withdrawals:process', 'plans:read', 'plans:manage', 'reconciliation:read', 'reconciliation:resolve'],
+  superadmin: PERMISSIONS
+};
+
+// Admins created before roles existed only have isAdmin=true. They keep full access
+// (or whatever LEGACY_ADMIN_ROLE says) until a role is explicitly assigned.
+const LEGACY_ADMIN_ROLE = ADMIN_ROLES.includes(process.env.LEGACY_ADMIN_ROLE) ? process.env.LEGACY_ADMIN_ROLE : 'superadmin';
+
+function getEffectiveRoles(user) {
+  if (user.adminRoles && user.adminRoles.length > 0) {
+    return user.adminRoles.filter(role => ADMIN_ROLES.includes(role));
+  }
+  return user.isAdmin ? [LEGACY_ADMIN_ROLE] : [];
+}
+
+function getPermissions(user) {
+  const permissions = new Set();
+  for (const role of getEffectiveRoles(user)) {
+    ROLE_PERMISSIONS[role].forEach(permission => permissions.add(permission));
+  }
+  return permissions;
+}
+
+function hasPermission(user, permission) {
+  return getPermissions(user).has(permission);
+}
+
+// Route guard for admin.js; relies on adminAuthenticate having attached req.user.
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: `Forbidden: '${permission}' permission required` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  ROLE_PERMISSIONS,
+  LEGACY_ADMIN_ROLE,
+  getEffectiveRoles,
+  getPermissions,
+  hasPermission,
+  requirePermission,
+};
@@ -0,0 +1,109 @@
+// apiKey.js
+const mongoose = require('mongoose');
+
+const API_KEY_PREFIX = 'stk_';
+const API_KEY_SCOPES = ['read:profile', 'read:history', 'stake', 'withdraw'];
+
+// API keys are only accepted on the routes listed here (fail-closed); a request must hold
+// at least one of the route's scopes. Everything else, including key management, security
+// settings and admin routes, requires a logged-in session.
+const API_KEY_ROUTE_SCOPES = [
+  { method: 'GET', path: /^\/api\/profile$/, scopes: ['read:profile'] },
+  { method: 'GET', path: /^\/api\/withdrawal\/balance$/, scopes: ['read:profile', 'withdraw'] },
+  { method: 'GET', path: /^\/api\/referral\/stats$/, scopes: ['read:profile'] },
+  { method: 'GET', path: /^\/api\/history\/history$/, scopes: ['read:history'] },
+  { method: 'GET', path: /^\/api\/history\/history\/export$/, scopes: ['read:history'] },
+  { method: 'GET', path: /^\/api\/withdrawal\/history$/, scopes: ['read:history', 'withdraw'] },
+  { method: 'GET', path: /^\/api\/transfers$/, scopes: ['read:history'] },
+  { method: 'GET', path: /^\/api\/deposits$/, scopes: ['read:history'] },
+  { method: 'GET', path: /^\/api\/deposits\/instructions$/, scopes: ['read:profile'] },
+  { method: 'GET', path: /^\/api\/staking\/plans$/, scopes: ['read:profile', 'stake'] },
+  { method: 'GET', path: /^\/api\/staking\/status$/, scopes: ['read:profile', 'stake'] },
+  { method: 'POST', path: /^\/api\/staking\/plan$/, scopes: ['stake'] },
+  { method: 'POST', path: /^\/api\/staking\/quote$/, scopes: ['read:profile', 'stake'] },
+  { method: 'GET', path: /^\/api\/staking\/stakes\/[^/]+\/unstake-quote$/, scopes: ['stake'] },
+  { method: 'POST', path: /^\/api\/staking\/stakes\/[^/]+\/unstake$/, scopes: ['stake'] },
+  { method: 'PATCH', path: /^\/api\/staking\/stakes\/[^/]+\/settings$/, scopes: ['stake'] },
+  { method: 'POST', path: /^\/api\/withdrawal\/request$/, scopes: ['withdraw'] },
+];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64
+  },
+  // First characters of the key, shown in listings so users can tell keys apart.
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  ipAllowlist: [String],
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.methods.isUsable = function () {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  return true;
+};
+
+apiKeySchema.methods.allowsIp = function (ip) {
+  if (!this.ipAllowlist || this.ipAllowlist.length === 0) return true;
+  const normalized = String(ip).replace(/^::ffff:/, '');
+  return this.ipAllowlist.includes(normalized);
+};
+
+// Returns the scopes that would admit this request, or null when API keys are not accepted.
+apiKeySchema.statics.scopesForRoute = function (method, path) {
+  const route = API_KEY_ROUTE_SCOPES.find(entry => entry.method === method && entry.path.test(path));
+  return route ? route.scopes : null;
+};
+
+apiKeySchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    keyPrefix: this.keyPrefix,
+    scopes: this.scopes,
+    ipAllowlist: this.ipAllowlist,
+    expiresAt: this.expiresAt || null,
+    revokedAt: this.revokedAt || null,
+    lastUsedAt: this.lastUsedAt || null,
+    lastUsedIp: this.lastUsedIp || null,
+    usageCount: this.usageCount,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_PREFIX = API_KEY_PREFIX;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,151 @@
+// auditLog.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+const APPEND_RETRIES = 5;
+
+// Append-only record of admin mutations. Each entry stores the hash of the previous one,
+// so editing or removing any entry breaks every hash after it (see verifyChain).
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  actorUsername: String,
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  timestamp: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Deterministic JSON (sorted keys) so the hash does not depend on property order.
+function canonicalize(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (typeof value === 'object') {
+    if (typeof value.toJSON === 'function' && !(value.constructor === Object)) {
+      return canonicalize(value.toJSON());
+    }
+    return Object.keys(value).sort().reduce((acc, key) => {
+      if (value[key] !== undefined) acc[key] = canonicalize(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+function computeHash(entry) {
+  const payload = JSON.stringify(canonicalize({
+    seq: entry.seq,
+    actorId: entry.actorId,
+    actorUsername: entry.actorUsername,
+    action: entry.action,
+    targetUserId: entry.targetUserId,
+    before: entry.before,
+    after: entry.after,
+    metadata: entry.metadata,
+    ip: entry.ip,
+    timestamp: entry.timestamp,
+    prevHash: entry.prevHash
+  }));
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+function rejectMutation(next) {
+  next(new Error('Audit log entries are append-only and cannot be modified or deleted.'));
+}
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  auditLogSchema.pre(op, function (next) { rejectMutation(next); });
+});
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+// Appends an entry at the end of the chain. Concurrent writers race on the unique seq
+// index; the loser re-reads the tip and retries.
+auditLogSchema.statics.append = async function (data) {
+  for (let attempt = 0; attempt < APPEND_RETRIES; attempt++) {
+    const tip = await this.findOne().sort({ seq: -1 }).select('seq hash').lean();
+    const entry = {
+      ...data,
+      before: canonicalize(data.before),
+      after: canonicalize(data.after),
+      metadata: canonicalize(data.metadata),
+      seq: tip ? tip.seq + 1 : 1,
+      prevHash: tip ? tip.hash : GENESIS_HASH,
+      timestamp: new Date()
+    };
+    entry.hash = computeHash(entry);
+
+    try {
+      return await this.create(entry);
+    } catch (err) {
+      if (err.code !== 11000 || attempt === APPEND_RETRIES - 1) throw err;
+    }
+  }
+};
+
+// Walks the chain in order and reports the first entry whose links or hash don't match.
+auditLogSchema.statics.verifyChain = async function () {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  const cursor = this.find().sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, brokenAtSeq: expectedSeq, reason: 'missing_entry' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAtSeq: entry.seq, reason: 'prev_hash_mismatch' };
+    }
+    if (computeHash(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAtSeq: entry.seq, reason: 'hash_mismatch' };
+    }
+    prevHash = entry.hash;
+    expectedSeq++;
+    checked++;
+  }
+
+  return { valid: true, checked };
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
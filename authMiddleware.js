@@ -1,9 +1,70 @@
 // authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('./user');
+const Session = require('./session');
+const ApiKey = require('./apiKey');
+const { getClientIp } = require('./requestUtils');
+const { hashToken } = require('./tokenUtils');
+
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+async function authenticateApiKey(apiKeyValue, req, res, next) {
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(apiKeyValue) });
+    if (!apiKey || !apiKey.isUsable()) {
+      return res.status(401).json({ error: 'Invalid, revoked or expired API key' });
+    }
+
+    const clientIp = getClientIp(req);
+    if (!apiKey.allowsIp(clientIp)) {
+      console.warn(`API key ${apiKey.keyPrefix} used from non-allowlisted IP ${clientIp}`);
+      return res.status(403).json({ error: 'Forbidden: API key is not allowed from this IP address' });
+    }
+
+    const routeScopes = ApiKey.scopesForRoute(req.method, req.originalUrl.split('?')[0]);
+    if (!routeScopes) {
+      return res.status(403).json({ error: 'Forbidden: This endpoint is not available to API keys' });
+    }
+    if (!routeScopes.some(scope => apiKey.scopes.includes(scope))) {
+      return res.status(403).json({ error: `Forbidden: API key requires one of the scopes: ${routeScopes.join(', ')}` });
+    }
+
+    const user = await User.findById(apiKey.userId).select('_id isActive');
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    if (!user.isActive) {
+      return res.status(403).json({ error: 'Forbidden: Account is deactivated' });
+    }
+
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: clientIp }, $inc: { usageCount: 1 } }
+    );
+
+    req.userId = String(user._id);
+    req.apiKeyId = apiKey._id;
+    req.apiKeyScopes = apiKey.scopes;
+    req.authenticated = true;
+    next();
+  } catch (err) {
+    console.error('API key auth error:', err.message);
+    return res.status(403).json({ error: 'Authentication failed' });
+  }
+}
 
 async function authenticate(req, res, next) {
+  // Routers repeat this middleware after the /api-wide mount; don't authenticate (or count API key usage) twice.
+  if (req.authenticated) {
+    return next();
+  }
+
   const authHeader = req.headers.authorization;
+  const apiKeyHeader = req.headers['x-api-key'];
+
+  if (apiKeyHeader) {
+    return authenticateApiKey(String(apiKeyHeader), req, res, next);
+  }
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Missing token' });
@@ -11,13 +72,21 @@ async function authenticate(req, res, next) {
 
   const token = authHeader.split(' ')[1];
 
+  if (token && token.startsWith(ApiKey.API_KEY_PREFIX)) {
+    return authenticateApiKey(token, req, res, next);
+  }
+
   try {
     if (!process.env.JWT_SECRET) {
         console.error('FATAL: JWT_SECRET is not set. Cannot verify token.');
         return res.status(500).json({ error: 'Server configuration error.' });
     }
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('_id isActive'); // Only fetch necessary fields
+    if (decoded.purpose) {
+      // Challenge tokens (e.g. the 2FA login step) are not access tokens.
+      return res.status(401).json({ error: 'Invalid authentication token' });
+    }
+    const user = await User.findById(decoded.userId).select('_id isActive passwordChangedAt'); // Only fetch necessary fields
 
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
@@ -27,7 +96,24 @@ async function authenticate(req, res, next) {
       return res.status(403).json({ error: 'Forbidden: Account is deactivated' });
     }
 
+    if (user.isTokenIssuedBeforePasswordChange(decoded.iat)) {
+      return res.status(401).json({ error: 'Session expired after a password change. Please log in again.' });
+    }
+
+    const session = decoded.sid ? await Session.findActiveSession(decoded.sid, user._id) : null;
+    if (!session) {
+      return res.status(401).json({ error: 'Session has been revoked or expired. Please log in again.' });
+    }
+
+    // Keep "last seen" roughly current for the device list without a write on every request.
+    if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+      Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), lastSeenIp: getClientIp(req) } })
+        .catch(updateErr => console.error('Failed to update session last-seen:', updateErr.message));
+    }
+
     req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
+    req.authenticated = true;
     next();
   } catch (err) {
     // Log specific JWT errors for better debugging
@@ -0,0 +1,102 @@
+// authTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('./session');
+const User = require('./user');
+const { hashToken } = require('./tokenUtils');
+const { notifyAdminOfError } = require('./errorNotifier');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up without
+// scanning hashes; only the hash of the secret part is stored.
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+async function createSession(user, { ip, userAgent } = {}) {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ip,
+    userAgent
+  });
+  const { refreshToken, hash } = buildRefreshToken(session._id);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken,
+    accessTokenExpiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Returns { ok: true, ... } with a fresh token pair, or { ok: false, reason } where
+// reason is 'invalid' or 'reuse'.
+async function rotateRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed || !mongoose.Types.ObjectId.isValid(parsed.sessionId)) {
+    return { ok: false, reason: 'invalid' };
+  }
+
+  const next = buildRefreshToken(parsed.sessionId);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { refreshTokenHash: next.hash, lastRefreshedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId);
+    if (existing && existing.isActive()) {
+      // A superseded refresh token was presented: someone else may hold a copy. Kill the session.
+      await Session.revokeSession(existing._id, 'refresh_token_reuse');
+      console.warn(`⚠️ Refresh token reuse detected for session ${existing._id} (user ${existing.userId}). Session revoked.`);
+      notifyAdminOfError('Refresh Token Reuse Detected', null, `User ID: ${existing.userId}, Session ID: ${existing._id}. The session has been revoked.`).catch(console.error);
+      return { ok: false, reason: 'reuse' };
+    }
+    return { ok: false, reason: 'invalid' };
+  }
+
+  const user = await User.findById(session.userId).select('_id isActive');
+  if (!user || !user.isActive) {
+    await Session.revokeSession(session._id, 'account_deactivated');
+    return { ok: false, reason: 'invalid' };
+  }
+
+  return {
+    ok: true,
+    session,
+    accessToken: signAccessToken(session.userId, session._id),
+    refreshToken: next.refreshToken,
+    accessTokenExpiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  signAccessToken,
+};
@@ -0,0 +1,89 @@
+// chainCursor.js
+const mongoose = require('mongoose');
+
+// How far a chain scanner (e.g. the deposit listener, name 'deposits:mainnet') has got, so a
+// restart or reconnect can scan the blocks it missed instead of only new ones.
+// lastProcessedBlock only moves forward, and not while failedBlocks holds live blocks that
+// could not be scanned: those are retried, and a restart rescans from the first of them.
+// `backfill` is the catch-up scan of the latest gap; while processedThrough < toBlock it is
+// unfinished and is resumed from there on the next start.
+const chainCursorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastProcessedBlock: {
+    type: Number,
+    required: true
+  },
+  failedBlocks: {
+    type: [Number],
+    default: []
+  },
+  backfill: {
+    fromBlock: Number,
+    toBlock: Number,
+    processedThrough: Number,
+    startedAt: Date,
+    completedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Block to start the next scan from: the first block that is not known to be scanned.
+chainCursorSchema.methods.resumeFrom = function () {
+  const candidates = [this.lastProcessedBlock + 1, ...(this.failedBlocks || [])];
+  const backfill = this.backfill || {};
+  if (backfill.toBlock != null && !backfill.completedAt) candidates.push(backfill.processedThrough + 1);
+  return Math.min(...candidates);
+};
+
+// Creates the cursor at blockNumber the first time a scanner runs.
+chainCursorSchema.statics.start = async function (name, blockNumber) {
+  try {
+    await this.create({ name, lastProcessedBlock: blockNumber });
+  } catch (err) {
+    if (err.code !== 11000) throw err; // Created concurrently
+  }
+};
+
+// Moves lastProcessedBlock forward to blockNumber (never back). Does nothing while failed
+// blocks are waiting to be retried.
+chainCursorSchema.statics.advance = function (name, blockNumber) {
+  return this.updateOne(
+    { name, 'failedBlocks.0': { $exists: false } },
+    { $max: { lastProcessedBlock: blockNumber } }
+  );
+};
+
+chainCursorSchema.statics.recordFailedBlock = function (name, blockNumber) {
+  return this.updateOne({ name }, { $addToSet: { failedBlocks: blockNumber } });
+};
+
+chainCursorSchema.statics.clearFailedBlock = function (name, blockNumber) {
+  return this.updateOne({ name }, { $pull: { failedBlocks: blockNumber } });
+};
+
+// A new backfill starts at or before every failed block, so it takes over their retry.
+chainCursorSchema.statics.startBackfill = function (name, fromBlock, toBlock) {
+  return this.updateOne({ name }, {
+    $set: {
+      backfill: { fromBlock, toBlock, processedThrough: fromBlock - 1, startedAt: new Date() },
+      failedBlocks: []
+    }
+  });
+};
+
+// Records that every block up to blockNumber has been scanned by the current backfill.
+chainCursorSchema.statics.recordBackfillProgress = async function (name, blockNumber) {
+  await this.updateOne({ name }, { $max: { 'backfill.processedThrough': blockNumber } });
+  await this.advance(name, blockNumber);
+};
+
+chainCursorSchema.statics.completeBackfill = function (name) {
+  return this.updateOne({ name }, { $set: { 'backfill.completedAt': new Date() } });
+};
+
+module.exports = mongoose.model('ChainCursor', chainCursorSchema);
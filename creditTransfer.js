@@ -0,0 +1,50 @@
+// creditTransfer.js
+const mongoose = require('mongoose');
+const { decimalJsonTransform } = require('./money');
+
+// A completed transfer of credits from one user to another, written in the same transaction
+// as the balance changes. The sender pays `amount + fee`; the recipient receives `amount`.
+// Each side has its own ledger entry ('transfer_out' and 'transfer_in'), linked to each
+// other through relatedEntryId.
+const creditTransferSchema = new mongoose.Schema({
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderUsername: String,
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientUsername: String,
+  amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  fee: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0
+  },
+  note: {
+    type: String,
+    maxlength: 140
+  },
+  outEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  inEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  }
+}, {
+  timestamps: true,
+  toJSON: { transform: decimalJsonTransform }
+});
+
+creditTransferSchema.index({ senderId: 1, createdAt: -1 });
+creditTransferSchema.index({ recipientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditTransfer', creditTransferSchema);
@@ -1,100 +1,326 @@
 // cronJobs.js
 const cron = require('node-cron');
+const mongoose = require('mongoose');
 const User = require('./user');
-const { processReferralReward } = require('./referral');
+const StakingPlan = require('./stakingPlan');
+const PlanCapacity = require('./planCapacity');
+const { reservedAmount } = require('./planCapacity');
+const RewardPayout = require('./rewardPayout');
+const ReconciliationReport = require('./reconciliationReport');
+const LedgerEntry = require('./ledgerEntry');
+const { accounts, move } = require('./ledgerEntry');
+const money = require('./money');
+const {
+  DAY_MS,
+  startOfUtcDay,
+  buildStake,
+  accrueStakeRewards,
+  planRenewal,
+  getPlanUsage,
+  checkPlanLimits,
+  planLimitsExpression
+} = require('./stakeUtils');
+const { creditReferralReward } = require('./referral');
 const { notifyAdminOfError } = require('./errorNotifier');
 const { processConfirmedDeposit } = require('./depositListener');
+const { runInTransaction, rollback } = require('./transactions');
 
 
 let isDailyRewardsJobRunning = false;
+let isReconciliationJobRunning = false;
 
+// Pending payouts younger than this may still be in flight in another run.
+const STALE_PAYOUT_MINUTES = 10;
 
-async function distributeDailyRewards() {
+// The balance and ledger are read separately, so a mismatch is only reported if it is still
+// there when the user is checked again after this delay.
+const RECONCILIATION_RECHECK_MS = parseInt(process.env.RECONCILIATION_RECHECK_MS || '5000', 10);
+const RECONCILIATION_MAX_DISCREPANCIES = parseInt(process.env.RECONCILIATION_MAX_DISCREPANCIES || '1000', 10);
+
+function stakeFilter(userId, stakeId, conditions) {
+  return { _id: userId, stakes: { $elemMatch: { _id: stakeId, ...conditions } } };
+}
+
+// Keyed on the payout, so posting it again (e.g. from reconcilePendingPayouts) is harmless.
+// Compounded rewards go to the stake account instead of the balance.
+function rewardEntry(payout, planName) {
+  return {
+    type: 'reward',
+    userId: payout.userId,
+    postings: move(accounts.rewardsExpense, payout.compounded ? accounts.stake(payout.userId) : accounts.user(payout.userId), payout.amount),
+    source: { kind: 'reward_payout', id: String(payout._id) },
+    description: payout.compounded
+      ? `Daily staking reward for ${planName} (compounded)`
+      : `Daily staking reward for ${planName}`,
+    dedupeKey: `reward:${payout._id}`
+  };
+}
+
+// Pays one reward day on a stake exactly once. The RewardPayout record, the stake update and
+// the ledger entry are written in one transaction. The update only applies if the stake is
+// still at the expected daysPaid, and the unique payout index stops a concurrent run from
+// paying the same day. Mutates `stake` to the new state on success. Returns 'paid',
+// 'already_paid' or 'conflict'.
+async function payStakeDay(user, stake, rewardDate) {
+  const next = { ...stake };
+  const { credited, compounded } = accrueStakeRewards(next, 1);
+
+  let outcome;
+  try {
+    outcome = await runInTransaction(async (session) => {
+      // Payouts left 'pending' before payouts ran in transactions are finished here.
+      const existing = await RewardPayout.findOne({ stakeId: stake._id, rewardDate }).session(session);
+      if (existing && existing.status !== 'pending') rollback('already_paid');
+
+      const result = await User.updateOne(
+        stakeFilter(user._id, stake._id, { status: 'active', daysPaid: stake.daysPaid }),
+        {
+          $set: {
+            'stakes.$.daysPaid': next.daysPaid,
+            'stakes.$.rewardsPaid': next.rewardsPaid,
+            'stakes.$.lastRewardDate': rewardDate,
+            'stakes.$.amount': next.amount,
+            'stakes.$.dailyReward': next.dailyReward,
+            'stakes.$.reward': next.reward,
+            'stakes.$.compoundedRewards': next.compoundedRewards || 0
+          },
+          $inc: { credits: credited, __v: 1 }
+        },
+        { session }
+      );
+      // Someone else moved the stake on.
+      if (result.modifiedCount === 0) rollback('conflict');
+
+      const payout = existing || new RewardPayout({
+        stakeId: stake._id,
+        userId: user._id,
+        rewardDate,
+        dayNumber: next.daysPaid,
+        amount: money.add(credited, compounded),
+        compounded: !money.isZero(compounded)
+      });
+      payout.status = 'applied';
+      payout.appliedAt = new Date();
+      await payout.save({ session });
+
+      await LedgerEntry.post(rewardEntry(payout, stake.planName), { session });
+      return 'paid';
+    });
+  } catch (err) {
+    // A concurrent run inserted the day's payout first.
+    if (err.code === 11000) return 'already_paid';
+    throw err;
+  }
+
+  if (outcome === 'paid') Object.assign(stake, next, { lastRewardDate: rewardDate });
+  return outcome;
+}
+
+// Settles payouts left pending by a crash before payouts ran in transactions: applied if the
+// stake already moved past that day, void if the stake is no longer active. Anything else is
+// retried by payStakeDay.
+async function reconcilePendingPayouts() {
+  const staleBefore = new Date(Date.now() - STALE_PAYOUT_MINUTES * 60 * 1000);
+  const pending = await RewardPayout.find({ status: 'pending', createdAt: { $lt: staleBefore } });
+
+  for (const payout of pending) {
+    const user = await User.findOne({ _id: payout.userId, 'stakes._id': payout.stakeId }, { 'stakes.$': 1 }).lean();
+    const stake = user && user.stakes[0];
+
+    if (stake && stake.daysPaid >= payout.dayNumber) {
+      // The reward itself was credited before the crash; its entry and the payout status are
+      // written together. Only the run that flips the payout posts the entry.
+      await runInTransaction(async (session) => {
+        const settled = await RewardPayout.updateOne(
+          { _id: payout._id, status: 'pending' },
+          { $set: { status: 'applied', appliedAt: new Date() } },
+          { session }
+        );
+        if (settled.modifiedCount === 0) rollback();
+        const entry = rewardEntry(payout, stake.planName);
+        if (!(await LedgerEntry.exists({ dedupeKey: entry.dedupeKey }).session(session))) {
+          await LedgerEntry.post(entry, { session });
+        }
+      });
+    } else if (!stake || stake.status !== 'active') {
+      await RewardPayout.updateOne({ _id: payout._id, status: 'pending' }, { $set: { status: 'void' } });
+    }
+  }
+  return pending.length;
+}
+
+// Re-stakes a completed stake's amount under the plan's current version. Returns the new
+// stake, or null when the renewal can't go ahead (the reason is stored on the old stake).
+async function renewCompletedStake(user, stake, activePlans) {
+  const skip = async (reason) => {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'stakes.$[done].renewalSkippedReason': reason } },
+      { arrayFilters: [{ 'done._id': stake._id }] }
+    );
+    console.log(`⚠️ Could not renew stake for user ${user._id}: ${reason}. Principal stays in balance.`);
+    return null;
+  };
+
+  const plan = activePlans.get(stake.planId);
+  const current = await User.findById(user._id).select('credits stakes').lean();
+  const { amount, skippedReason } = planRenewal(stake, plan, current.credits || '0');
+  if (skippedReason) return skip(skippedReason);
+
+  const limitError = checkPlanLimits(plan, getPlanUsage(current.stakes, plan.planId), amount);
+  if (limitError) return skip(limitError);
+
+  const renewal = {
+    _id: new mongoose.Types.ObjectId(),
+    ...buildStake(plan, amount, {
+      startDate: new Date(),
+      onCompletion: stake.onCompletion,
+      compoundRewards: stake.compoundRewards,
+      renewedFromStakeId: stake._id
+    }),
+    capacityReserved: amount
+  };
+
+  const conflict = await runInTransaction(async (session) => {
+    if (!await PlanCapacity.reserve(plan.planId, amount, plan.globalCap, { session })) {
+      rollback('Plan is at capacity');
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, credits: { $gte: amount }, $expr: planLimitsExpression(plan, amount) },
+      {
+        $set: { 'stakes.$[done].renewedToStakeId': renewal._id },
+        $inc: { credits: money.negate(amount), __v: 1 },
+        $push: { stakes: renewal }
+      },
+      { arrayFilters: [{ 'done._id': stake._id }], projection: { _id: 1 }, session }
+    );
+    if (!updated) rollback('Balance or plan limits changed during renewal');
+
+    await LedgerEntry.post({
+      type: 'stake',
+      userId: user._id,
+      postings: move(accounts.user(user._id), accounts.stake(user._id), amount),
+      source: { kind: 'stake', id: String(renewal._id) },
+      description: `Renewed ${stake.planName} stake into ${plan.name} (Amount: ${amount})`,
+      dedupeKey: `stake_open:${renewal._id}`
+    }, { session });
+    return null;
+  });
+
+  if (conflict) return skip(conflict);
+  return renewal;
+}
+
+// Returns the principal of a stake whose last day has been paid and pays the referrer's bonus,
+// exactly once (the update only matches while the stake is still active), then renews the
+// stake if the user asked for that.
+async function completeStake(user, stake, activePlans) {
+  // Referral bonuses are earned on the staked principal, not on compounded rewards.
+  const referralBase = money.sub(stake.amount, stake.compoundedRewards || 0);
+
+  const completed = await runInTransaction(async (session) => {
+    const result = await User.updateOne(
+      stakeFilter(user._id, stake._id, { status: 'active', daysPaid: { $gte: stake.duration } }),
+      {
+        $set: { 'stakes.$.status': 'completed' },
+        $inc: { credits: stake.amount, __v: 1 }
+      },
+      { session }
+    );
+    if (result.modifiedCount === 0) rollback(false);
+
+    await LedgerEntry.post({
+      type: 'stake',
+      userId: user._id,
+      postings: move(accounts.stake(user._id), accounts.user(user._id), stake.amount),
+      source: { kind: 'stake', id: String(stake._id) },
+      description: `Completed stake principal returned for ${stake.planName}`,
+      dedupeKey: `stake_complete:${stake._id}`
+    }, { session });
+
+    await PlanCapacity.release(stake.planId, reservedAmount(stake), { session });
+    const referral = await creditReferralReward(user._id, referralBase, stake._id, { session });
+    return { referral };
+  });
+  if (!completed) return false;
+
+  console.log(`✅ Stake completed for user ${user.username} (${user._id}): ${stake.planName}. Returned principal of ${stake.amount} credits.`);
+  const { referral } = completed;
+  if (referral) {
+    console.log(`💰 Referral reward: ${referral.amount} credits added to ${referral.referrer.username} (${referral.referrer._id}) from user ${referral.referred.username} (${referral.referred._id})'s stake completion.`);
+  }
+
+  if (stake.onCompletion && stake.onCompletion !== 'return') {
+    const renewal = await renewCompletedStake(user, stake, activePlans);
+    if (renewal) {
+      console.log(`🔁 Renewed stake for user ${user.username} (${user._id}): ${renewal.planName}, ${renewal.amount} credits.`);
+    }
+  }
+
+  return true;
+}
+
+// Pays every reward day due on active stakes, one RewardPayout per stake and day. In
+// catch-up mode only stakes that missed at least one midnight run are visited, which is
+// what runs on startup to backfill downtime.
+async function distributeDailyRewards({ catchUp = false } = {}) {
   if (isDailyRewardsJobRunning) {
     console.log('🕐 Daily rewards job is already running. Skipping this run.');
     return;
   }
   isDailyRewardsJobRunning = true;
-  console.log('🕐 Running daily stake rewards distribution...');
+  console.log(catchUp ? '🕐 Running daily stake rewards catch-up...' : '🕐 Running daily stake rewards distribution...');
 
   const now = new Date();
+  const startOfTodayUTC = startOfUtcDay(now);
   let processedCount = 0;
+  let daysPaid = 0;
+  let conflicts = 0;
   const cursorConcurrency = parseInt(process.env.CRON_REWARDS_CONCURRENCY || '5', 10);
-  const historyLimit = parseInt(process.env.CREDITS_HISTORY_LIMIT || '1000', 10);
 
 
   try {
-    const cursor = User.find({ 'stakes.status': 'active', isActive: true })
-      .select('_id username credits creditsHistory stakes')
+    const settled = await reconcilePendingPayouts();
+    if (settled > 0) console.log(`Checked ${settled} stale pending reward payouts.`);
+
+    const activePlans = new Map((await StakingPlan.findActivePlans(now)).map(plan => [plan.planId, plan]));
+
+    const lastRewardBefore = catchUp ? new Date(startOfTodayUTC.getTime() - DAY_MS) : startOfTodayUTC;
+    const cursor = User.find({
+      isActive: true,
+      stakes: { $elemMatch: { status: 'active', lastRewardDate: { $lt: lastRewardBefore } } }
+    })
+      .select('_id username stakes')
+      .lean()
       .cursor();
     console.log('Starting cursor iteration for daily rewards...');
 
     await cursor.eachAsync(async (user) => {
       processedCount++;
-      let userUpdated = false;
 
       const activeStakes = user.stakes.filter(stake => stake.status === 'active');
 
       for (const stake of activeStakes) {
-        const lastRewardDate = new Date(stake.lastRewardDate);
-        const startOfLastRewardDayUTC = new Date(Date.UTC(lastRewardDate.getUTCFullYear(), lastRewardDate.getUTCMonth(), lastRewardDate.getUTCDate()));
-        const startOfTodayUTC = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-
-        const daysSinceLastReward = Math.floor((startOfTodayUTC - startOfLastRewardDayUTC) / (24 * 60 * 60 * 1000));
-
-        if (daysSinceLastReward >= 1) {
-          const daysRemaining = stake.duration - stake.daysPaid;
-          const daysToPay = Math.min(daysSinceLastReward, daysRemaining);
-
-          if (daysToPay > 0) {
-            const rewardToCredit = stake.dailyReward * daysToPay;
-            user.credits = (user.credits || 0) + rewardToCredit;
-            user.creditsHistory.push({
-              type: 'reward',
-              amount: rewardToCredit,
-              reason: `Daily staking reward for ${stake.planName}`,
-              date: new Date()
-            });
-
-            stake.daysPaid += daysToPay;
-            stake.lastRewardDate = new Date(startOfLastRewardDayUTC.getTime() + daysToPay * 24 * 60 * 60 * 1000);
-            userUpdated = true;
+        try {
+          let rewardDay = startOfUtcDay(stake.lastRewardDate);
+
+          while (stake.daysPaid < stake.duration && rewardDay.getTime() + DAY_MS <= startOfTodayUTC.getTime()) {
+            rewardDay = new Date(rewardDay.getTime() + DAY_MS);
+            const outcome = await payStakeDay(user, stake, rewardDay);
+            if (outcome !== 'paid') {
+              if (outcome === 'conflict') conflicts++;
+              break;
+            }
+            daysPaid++;
           }
 
           if (stake.daysPaid >= stake.duration) {
-            stake.status = 'completed';
-            const principalToReturn = stake.amount;
-            user.credits = (user.credits || 0) + principalToReturn;
-            user.creditsHistory.push({
-                type: 'stake',
-                amount: principalToReturn,
-                reason: `Completed stake principal returned for ${stake.planName}`,
-                date: new Date()
-            });
-            console.log(`✅ Stake completed for user ${user.username} (${user._id}): ${stake.planName}. Returned principal of ${principalToReturn} credits.`);
-
-            setImmediate(() => {
-              processReferralReward(user._id, stake.amount).catch(err => {
-                console.error(`❌ Failed to process referral reward for user ${user._id}'s stake completion:`, err);
-                notifyAdminOfError('Referral Reward Processing Error', err, `User ID: ${user._id}, Stake Amount: ${stake.amount}`).catch(console.error);
-              });
-            });
-
-            userUpdated = true;
+            await completeStake(user, stake, activePlans);
           }
-        }
-      }
-
-       if (user.creditsHistory.length > historyLimit) {
-          user.creditsHistory = user.creditsHistory.slice(-historyLimit);
-       }
-
-      if (userUpdated) {
-        try {
-          await user.save();
-        } catch (saveErr) {
-          console.error(`❌ Error saving user ${user._id} during daily rewards:`, saveErr);
-          await notifyAdminOfError('Daily Rewards Save Error', saveErr, `Failed to save user ${user._id} during rewards distribution.`);
+        } catch (stakeErr) {
+          console.error(`❌ Error paying rewards for stake ${stake._id} of user ${user._id}:`, stakeErr);
+          await notifyAdminOfError('Daily Rewards Stake Error', stakeErr, `User ${user._id}, stake ${stake._id}. Unfinished days are retried on the next run.`);
         }
       }
 
@@ -104,7 +330,10 @@ async function distributeDailyRewards() {
 
     }, { concurrency: cursorConcurrency });
 
-    console.log(`✅ Daily stake rewards distribution completed. Processed ${processedCount} users.`);
+    console.log(`✅ Daily stake rewards ${catchUp ? 'catch-up' : 'distribution'} completed. Processed ${processedCount} users, paid ${daysPaid} reward days.`);
+    if (conflicts > 0) {
+      console.warn(`⚠️ ${conflicts} stakes changed during the run and will be retried next time.`);
+    }
 
   } catch (error) {
     console.error('❌ Critical error in daily rewards distribution:', error);
@@ -114,6 +343,188 @@ async function distributeDailyRewards() {
   }
 }
 
+// Entries posted for a user's own deposit, withdrawal and stake records. Referral bonuses also
+// name a stake as their source, but it is the referred user's stake, so they are left out.
+const RECORD_ENTRY_TYPES = ['deposit', 'withdrawal', 'withdrawal_refund', 'stake', 'unstake'];
+
+// What each deposit, withdrawal and stake record on the user document should have posted to
+// the user's accounts, as { key: '<source kind>:<id>', recordId, available, staked, skipped }.
+// Records from before the ledger started (`ledgerStart`) were folded into the opening balance,
+// so they are marked skipped rather than checked.
+function recordTotals(user, ledgerStart) {
+  const predates = date => Boolean(ledgerStart) && (!date || new Date(date) < ledgerStart);
+  const records = [];
+
+  for (const deposit of user.deposits || []) {
+    records.push({
+      key: `deposit:${deposit.txHash}`,
+      recordId: deposit.txHash,
+      available: deposit.status === 'credited' ? money.normalize(deposit.usdValue) : '0',
+      staked: '0',
+      skipped: predates(deposit.status === 'credited' ? deposit.creditedAt : deposit.detectedAt)
+    });
+  }
+
+  // A request debits the amount; a failed withdrawal is refunded.
+  for (const withdrawal of user.withdrawals || []) {
+    records.push({
+      key: `withdrawal:${withdrawal.id}`,
+      recordId: withdrawal.id,
+      available: withdrawal.status === 'failed' ? '0' : money.negate(withdrawal.amount),
+      staked: '0',
+      skipped: predates(withdrawal.requestDate)
+    });
+  }
+
+  // Opening moves the principal from the balance to the stake. Compounded rewards are added to
+  // the stake by reward payouts, and completion or an early unstake moves the whole amount back
+  // (an early unstake pays out less, the rest going to fees).
+  for (const stake of user.stakes || []) {
+    const compounded = money.normalize(stake.compoundedRewards || 0);
+    const principal = money.sub(stake.amount, compounded);
+    let available = money.negate(principal);
+    let staked = principal;
+    if (stake.status === 'completed') available = money.add(available, stake.amount);
+    if (stake.status === 'cancelled') available = money.add(available, stake.unstakePayout || 0);
+    if (stake.status !== 'active') staked = money.negate(compounded);
+    records.push({
+      key: `stake:${stake._id}`,
+      recordId: String(stake._id),
+      available,
+      staked,
+      skipped: predates(stake.startDate)
+    });
+  }
+
+  return records;
+}
+
+// Compares a user's stored balances (credits, and the amounts of their active stakes) with the
+// ones derived from the ledger, and each deposit, withdrawal and stake record with the ledger
+// entries posted for it. Ledger entries for records the user does not have are reported too.
+// Returns the mismatching figures.
+async function findBalanceDiscrepancies(userId, ledgerStart) {
+  const [user, derived, bySource] = await Promise.all([
+    User.findById(userId).select('_id username credits stakes deposits withdrawals').lean(),
+    LedgerEntry.getUserBalances(userId),
+    LedgerEntry.getUserSourceTotals(userId, RECORD_ENTRY_TYPES)
+  ]);
+  if (!user) return [];
+
+  const staked = money.sum((user.stakes || []).filter(stake => stake.status === 'active').map(stake => stake.amount));
+  const checks = [
+    { kind: 'available_balance', expected: derived.available, actual: money.normalize(user.credits || 0) },
+    { kind: 'staked_balance', expected: derived.staked, actual: staked }
+  ];
+
+  const records = recordTotals(user, ledgerStart);
+  const known = new Set(records.map(record => record.key));
+  for (const key of bySource.keys()) {
+    if (known.has(key)) continue;
+    const separator = key.indexOf(':');
+    records.push({ key, recordId: key.slice(separator + 1), available: '0', staked: '0', skipped: false });
+  }
+
+  for (const record of records) {
+    if (record.skipped) continue;
+    const ledger = bySource.get(record.key) || { available: '0', staked: '0' };
+    const source = record.key.slice(0, record.key.indexOf(':'));
+    if (source === 'stake') {
+      checks.push({ kind: 'stake_record_available', recordId: record.recordId, expected: ledger.available, actual: record.available });
+      checks.push({ kind: 'stake_record_staked', recordId: record.recordId, expected: ledger.staked, actual: record.staked });
+    } else {
+      checks.push({ kind: `${source}_record`, recordId: record.recordId, expected: ledger.available, actual: record.available });
+    }
+  }
+
+  return checks
+    .filter(check => money.cmp(check.expected, check.actual) !== 0)
+    .map(check => ({
+      userId: user._id,
+      username: user.username,
+      ...check,
+      difference: money.sub(check.actual, check.expected)
+    }));
+}
+
+// Nightly check that every user's stored balances match the ledger. Results go to a
+// ReconciliationReport; discrepancies are alerted to the admin and resolved through the
+// admin API.
+async function reconcileBalances() {
+  if (isReconciliationJobRunning) {
+    console.log('🧮 Balance reconciliation is already running. Skipping this run.');
+    return;
+  }
+  isReconciliationJobRunning = true;
+  console.log('🧮 Running nightly balance reconciliation...');
+
+  let report = null;
+  const discrepancies = [];
+  let discrepancyCount = 0;
+  let usersChecked = 0;
+  const cursorConcurrency = parseInt(process.env.CRON_RECONCILIATION_CONCURRENCY || '5', 10);
+
+  try {
+    report = await ReconciliationReport.create({ startedAt: new Date() });
+    // Ids are time-ordered, so the first entry ever posted is the one with the lowest id.
+    const firstEntry = await LedgerEntry.findOne().sort({ _id: 1 }).select('date').lean();
+    const ledgerStart = firstEntry ? firstEntry.date : null;
+    const cursor = User.find({}).select('_id').lean().cursor();
+
+    await cursor.eachAsync(async ({ _id: userId }) => {
+      usersChecked++;
+
+      if ((await findBalanceDiscrepancies(userId, ledgerStart)).length > 0) {
+        await new Promise(resolve => setTimeout(resolve, RECONCILIATION_RECHECK_MS));
+        const confirmed = await findBalanceDiscrepancies(userId, ledgerStart);
+        discrepancyCount += confirmed.length;
+        for (const discrepancy of confirmed) {
+          if (discrepancies.length < RECONCILIATION_MAX_DISCREPANCIES) discrepancies.push(discrepancy);
+        }
+      }
+
+      if (usersChecked % 1000 === 0) {
+        console.log(`Reconciled ${usersChecked} users...`);
+      }
+    }, { concurrency: cursorConcurrency });
+
+    await ReconciliationReport.updateOne({ _id: report._id }, {
+      $set: {
+        status: 'completed',
+        finishedAt: new Date(),
+        usersChecked,
+        discrepancyCount,
+        openCount: discrepancies.length,
+        truncated: discrepancyCount > discrepancies.length,
+        discrepancies
+      }
+    });
+
+    console.log(`✅ Balance reconciliation completed. Checked ${usersChecked} users, found ${discrepancyCount} discrepancies (report ${report._id}).`);
+
+    if (discrepancyCount > 0) {
+      const sample = discrepancies.slice(0, 20)
+        .map(d => `${d.username} (${d.userId}) ${d.kind}${d.recordId ? ` ${d.recordId}` : ''}: stored ${d.actual}, ledger ${d.expected}, difference ${d.difference}`)
+        .join('\n');
+      await notifyAdminOfError(
+        'Balance Reconciliation Discrepancies',
+        null,
+        `Report ${report._id}: ${discrepancyCount} discrepancies across ${usersChecked} users.\n${sample}${discrepancyCount > 20 ? '\n...' : ''}`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Critical error in balance reconciliation:', error);
+    if (report) {
+      await ReconciliationReport.updateOne({ _id: report._id }, {
+        $set: { status: 'failed', finishedAt: new Date(), usersChecked, error: error.message }
+      }).catch(console.error);
+    }
+    await notifyAdminOfError('Balance Reconciliation Job Failed', error, report ? `Report ${report._id}` : '');
+  } finally {
+    isReconciliationJobRunning = false;
+  }
+}
+
 async function depositCatchUpJob() {
     console.log('🔍 Running deposit catch-up job...');
 
@@ -163,7 +574,18 @@ function initializeCronJobs() {
     depositCatchUpJob().catch(err => console.error('Error running deposit catch-up job:', err));
   });
 
-  console.log('📅 Cron jobs initialized (Daily Rewards, Deposit Catch-up).');
+  // After the midnight rewards run has had time to finish.
+  cron.schedule('0 3 * * *', () => {
+      console.log('🧮 Triggering nightly balance reconciliation...');
+    reconcileBalances().catch(err => console.error('Error running balance reconciliation job:', err));
+  }, { timezone: 'UTC' });
+
+  // Backfill reward days missed while the service was down.
+  if (process.env.REWARDS_CATCH_UP_ON_STARTUP !== 'false') {
+    distributeDailyRewards({ catchUp: true }).catch(err => console.error('Error running daily rewards catch-up:', err));
+  }
+
+  console.log('📅 Cron jobs initialized (Daily Rewards, Deposit Catch-up, Balance Reconciliation).');
   console.log('✨ Deposit detection and confirmation monitoring handled by depositListener.');
 }
 
@@ -0,0 +1,130 @@
+// deposit.js
+const express = require('express');
+const { ethers } = require('ethers');
+const router = express.Router();
+const authenticate = require('./authMiddleware');
+const User = require('./user');
+const money = require('./money');
+const { isValidEthereumAddress, provider } = require('./ethereumWalletUtils');
+const { CONFIRMATIONS_REQUIRED, MIN_DEPOSIT_USD, NETWORK } = require('./depositListener');
+
+const DEPOSITS_PAGE_SIZE = parseInt(process.env.DEPOSITS_PAGE_SIZE || '20', 10);
+const DEPOSITS_MAX_PAGE_SIZE = parseInt(process.env.DEPOSITS_MAX_PAGE_SIZE || '100', 10);
+const DEPOSIT_STATUSES = ['unconfirmed', 'confirmed', 'credited', 'failed'];
+
+// Assets the deposit listener watches. USDT is only detected when its contract is configured.
+function supportedAssets() {
+  const assets = [{ asset: 'ETH', decimals: 18 }];
+  const usdtContractAddress = process.env.USDT_CONTRACT_ADDRESS;
+  if (usdtContractAddress && isValidEthereumAddress(usdtContractAddress)) {
+    assets.push({ asset: 'USDT', decimals: 6, contractAddress: usdtContractAddress });
+  }
+  return assets;
+}
+
+// EIP-681 payment URI for wallet apps: a plain transfer for ETH, an ERC-20 transfer call for tokens.
+function qrPayload(walletAddress, asset, chainId) {
+  return asset.contractAddress
+    ? `ethereum:${asset.contractAddress}@${chainId}/transfer?address=${walletAddress}`
+    : `ethereum:${walletAddress}@${chainId}`;
+}
+
+// Confirmations counted so far. Confirmed and credited deposits have all of them; a
+// deposit the listener is still waiting on is measured against the current block.
+function confirmationsFor(deposit, currentBlock) {
+  if (deposit.status === 'confirmed' || deposit.status === 'credited') return CONFIRMATIONS_REQUIRED;
+  if (deposit.status !== 'unconfirmed' || currentBlock === null || !deposit.blockNumber) return null;
+  return Math.min(Math.max(currentBlock - deposit.blockNumber + 1, 0), CONFIRMATIONS_REQUIRED);
+}
+
+// GET /api/deposits - The user's deposits, newest first, with confirmation progress
+router.get('/deposits', authenticate, async (req, res) => {
+  const page = req.query.page !== undefined ? parseInt(req.query.page, 10) : 1;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEPOSITS_PAGE_SIZE;
+  if (isNaN(page) || page < 1) {
+    return res.status(400).json({ error: 'page must be a positive integer.' });
+  }
+  if (isNaN(limit) || limit < 1 || limit > DEPOSITS_MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${DEPOSITS_MAX_PAGE_SIZE}.` });
+  }
+  if (req.query.status !== undefined && !DEPOSIT_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ error: `status must be one of: ${DEPOSIT_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const user = await User.findById(req.userId).select('deposits');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const deposits = (user.deposits || [])
+      .filter(deposit => !req.query.status || deposit.status === req.query.status)
+      .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+    const pageItems = deposits.slice((page - 1) * limit, page * limit);
+
+    // Only needed while a deposit on this page is still collecting confirmations.
+    let currentBlock = null;
+    if (pageItems.some(deposit => deposit.status === 'unconfirmed')) {
+      currentBlock = await provider.getBlockNumber().catch(err => {
+        console.error('Failed to fetch current block number for deposit progress:', err.message);
+        return null;
+      });
+    }
+
+    res.json({
+      message: '✅ Deposits fetched successfully',
+      deposits: pageItems.map(deposit => ({
+        txHash: deposit.txHash,
+        asset: deposit.asset,
+        // Crypto amounts keep their on-chain decimals rather than the 8 of credit amounts, so
+        // they are returned as exact decimal strings.
+        cryptoAmount: deposit.cryptoAmount != null ? money.toExactString(deposit.cryptoAmount) : null,
+        // The valuation the deposit is credited at, fixed when it was detected.
+        usdValue: deposit.usdValue != null ? money.toNumber(deposit.usdValue) : null,
+        priceUsd: deposit.priceUsd ? money.toNumber(deposit.priceUsd) : null,
+        status: deposit.status,
+        confirmations: confirmationsFor(deposit, currentBlock),
+        confirmationsRequired: CONFIRMATIONS_REQUIRED,
+        blockNumber: deposit.blockNumber,
+        fromAddress: deposit.fromAddress,
+        detectedAt: deposit.detectedAt,
+        confirmedAt: deposit.confirmedAt,
+        creditedAt: deposit.creditedAt,
+        error: deposit.error
+      })),
+      currentBlock,
+      total: deposits.length,
+      page,
+      pages: Math.ceil(deposits.length / limit)
+    });
+  } catch (err) {
+    console.error('Deposit history error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error fetching deposits' });
+  }
+});
+
+// GET /api/deposits/instructions - Where and what to send
+router.get('/deposits/instructions', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('walletAddress');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const chainId = Number(ethers.Network.from(NETWORK).chainId);
+    res.json({
+      message: '✅ Deposit instructions fetched successfully',
+      walletAddress: user.walletAddress,
+      network: NETWORK,
+      chainId,
+      assets: supportedAssets().map(asset => ({ ...asset, qrPayload: qrPayload(user.walletAddress, asset, chainId) })),
+      minDepositUsd: money.toNumber(MIN_DEPOSIT_USD),
+      confirmationsRequired: CONFIRMATIONS_REQUIRED,
+      notes: [
+        `Deposits worth less than ${MIN_DEPOSIT_USD} USD when detected are not credited.`,
+        `Credits are added after ${CONFIRMATIONS_REQUIRED} block confirmations, at the USD value from when the deposit was detected.`
+      ]
+    });
+  } catch (err) {
+    console.error('Deposit instructions error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error fetching deposit instructions' });
+  }
+});
+
+module.exports = router;
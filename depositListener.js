@@ -1,9 +1,14 @@
 // depositListener.js
 const { ethers } = require('ethers');
 const User = require('./user');
+const LedgerEntry = require('./ledgerEntry');
+const ChainCursor = require('./chainCursor');
+const { accounts, move } = require('./ledgerEntry');
 const { getPriceInUSD } = require('./priceFetcher');
+const money = require('./money');
 const { sweepWallet, isValidEthereumAddress, provider: staticProvider } = require('./ethereumWalletUtils'); // Import static provider for waitForTransaction
 const { notifyAdminOfError } = require('./errorNotifier');
+const { runInTransaction, rollback } = require('./transactions');
 const ERC20_ABI = require('./erc20_abi.json');
 
 const ALCHEMY_WEBSOCKET_URL = process.env.ALCHEMY_WEBSOCKET_URL;
@@ -13,10 +18,14 @@ const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY; // Used by ethers inter
 const NETWORK = process.env.BLOCKCHAIN_NETWORK || 'mainnet';
 
 const CONFIRMATIONS_REQUIRED = parseInt(process.env.CONFIRMATIONS_REQUIRED || '12', 10);
-const MIN_DEPOSIT_USD = parseFloat(process.env.MIN_DEPOSIT_USD || '5.00');
+const MIN_DEPOSIT_USD = money.normalize(process.env.MIN_DEPOSIT_USD || '5.00');
 const USER_ADDRESS_REFRESH_INTERVAL_MS = parseInt(process.env.USER_ADDRESS_REFRESH_INTERVAL_MS || '600000', 10); // 10 minutes
 const CONFIRMATION_CHECK_INTERVAL_MS = parseInt(process.env.CONFIRMATION_CHECK_INTERVAL_MS || '30000', 10); // 30 seconds
-const CREDITS_HISTORY_LIMIT = parseInt(process.env.CREDITS_HISTORY_LIMIT || '1000', 10);
+const DEPOSIT_BACKFILL_BATCH_BLOCKS = parseInt(process.env.DEPOSIT_BACKFILL_BATCH_BLOCKS || '100', 10);
+const DEPOSIT_BACKFILL_MAX_BLOCKS = parseInt(process.env.DEPOSIT_BACKFILL_MAX_BLOCKS || '50000', 10); // ~1 week of mainnet blocks
+
+// ChainCursor holding the last block scanned for deposits on this network.
+const CURSOR_NAME = `deposits:${NETWORK}`;
 
 
 let provider; // This will hold the WebSocketProvider instance
@@ -24,6 +33,8 @@ let userAddresses = new Set();
 let confirmationMonitorInterval = null;
 let userAddressRefreshInterval = null;
 let websocketProviderConnected = false; // Simple flag to track perceived connection state
+let cursorTracking = false; // Live blocks only advance the cursor once the missed range is saved as a backfill
+let failedLiveBlocks = []; // Live blocks that could not be scanned in this session, oldest first
 
 // Need a provider for waitForTransaction, using the static provider from ethereumWalletUtils
 // This provider uses a HTTP/RPC connection, which is more stable for polling/waiting
@@ -60,18 +71,17 @@ async function loadUserAddresses() {
 
 async function processConfirmedDeposit(depositTxHash) {
     try {
-        const user = await User.findOne({ 'deposits.txHash': depositTxHash }).select('_id username credits creditsHistory deposits privateKey');
+        const user = await User.findOne({ 'deposits.txHash': depositTxHash }).select('_id username credits deposits privateKey');
         if (!user) {
             console.warn(`Confirmed deposit ${depositTxHash} - User not found in DB.`);
             return;
         }
 
-        const depositEntryIndex = user.deposits.findIndex(d => d.txHash === depositTxHash);
-        if (depositEntryIndex === -1) {
+        const depositEntry = user.deposits.find(d => d.txHash === depositTxHash);
+        if (!depositEntry) {
              console.warn(`Confirmed deposit ${depositTxHash} - Entry not found in user document.`);
              return;
         }
-        const depositEntry = user.deposits[depositEntryIndex];
 
          if (depositEntry.status === 'credited' || depositEntry.status === 'failed') {
              // This can happen if cron job runs before websocket listener processes
@@ -81,51 +91,47 @@ async function processConfirmedDeposit(depositTxHash) {
 
         console.log(`✅ Deposit ${depositTxHash} confirmed. Processing credit and sweep for user ${user.username} (${user._id})...`);
 
-        const creditsToAdd = depositEntry.usdValue;
+        const creditsToAdd = money.normalize(depositEntry.usdValue);
         const amountToSweep = depositEntry.cryptoAmount; // This is the amount of crypto received
         const assetToSweep = depositEntry.asset; // This is the asset symbol ('ETH' or 'USDT')
 
-        // Perform atomic update for credits and status change
-        const updateResult = await User.findByIdAndUpdate(
-            user._id,
-            {
-                $inc: { credits: creditsToAdd },
-                $set: {
-                    [`deposits.${depositEntryIndex}.status`]: 'credited',
-                    [`deposits.${depositEntryIndex}.creditedAt`]: new Date()
+        // The deposit is matched by txHash and only while it is still uncredited, so the
+        // listener and the catch-up job can't both credit it; the ledger entry commits with it.
+        const updateResult = await runInTransaction(async (session) => {
+            const credited = await User.findOneAndUpdate(
+                {
+                    _id: user._id,
+                    deposits: { $elemMatch: { txHash: depositTxHash, status: { $nin: ['credited', 'failed'] } } }
                 },
-                $push: {
-                     creditsHistory: {
-                        $each: [{ // Use $each for multiple or a single push with sorting capability
-                            type: 'deposit',
-                            amount: creditsToAdd,
-                            reason: `Deposit of ${amountToSweep.toFixed(6)} ${assetToSweep} (Tx: ${depositTxHash})`,
-                            date: new Date()
-                        }],
-                        $sort: { date: 1 } // Maintain date order if needed before slicing
+                {
+                    $inc: { credits: creditsToAdd, __v: 1 },
+                    $set: {
+                        'deposits.$.status': 'credited',
+                        'deposits.$.creditedAt': new Date()
                     }
-                }
-            },
-            { new: true, select: '_id username credits deposits creditsHistory' }
-        );
+                },
+                { new: true, select: '_id username credits', session }
+            );
+            if (!credited) rollback(null);
+
+            await LedgerEntry.post({
+                type: 'deposit',
+                userId: user._id,
+                postings: move(accounts.treasury, accounts.user(user._id), creditsToAdd),
+                source: { kind: 'deposit', id: depositTxHash },
+                description: `Deposit of ${amountToSweep} ${assetToSweep} (Tx: ${depositTxHash})`,
+                dedupeKey: `deposit:${depositTxHash}`
+            }, { session });
+
+            return credited;
+        });
 
         if (!updateResult) {
-            console.error(`Failed atomic update for user ${user._id} for deposit ${depositTxHash}.`);
-             await notifyAdminOfError('Deposit Processing Error', new Error('Atomic update failed'), `User ID: ${user._id}, TxHash: ${depositTxHash}. Failed to credit user/update status.`);
-             return; // Exit if update failed
-        }
-
-        // Manually trim history AFTER the update if needed (can't easily slice in $push with sorting)
-        if (updateResult.creditsHistory.length > CREDITS_HISTORY_LIMIT) {
-            updateResult.creditsHistory = updateResult.creditsHistory.slice(-CREDITS_HISTORY_LIMIT); // Keep the last N
-            await updateResult.save().catch(saveErr => {
-                console.error(`Error saving user history after deposit credit ${user._id}:`, saveErr);
-                // Log the error but don't fail the main response, as the credits/deposit update succeeded.
-            });
+            console.log(`Deposit ${depositTxHash} was processed concurrently. Skipping.`);
+            return;
         }
 
-
-        console.log(`✅ User ${updateResult.username} (${updateResult._id}) credited with ${creditsToAdd.toFixed(2)} credits for deposit ${depositTxHash}. Status set to 'credited'.`);
+        console.log(`✅ User ${updateResult.username} (${updateResult._id}) credited with ${creditsToAdd} credits for deposit ${depositTxHash}. Status set to 'credited'.`);
 
         // --- Sweep Logic ---
         // Only attempt sweep if the admin wallet address and user private key are available
@@ -145,44 +151,28 @@ async function processConfirmedDeposit(depositTxHash) {
         try {
             const sweepResult = await sweepWallet(user.privateKey, process.env.ADMIN_WALLET_ADDRESS, assetToSweep);
 
-            // Need to refetch or update the user document after atomic update to access the updated deposits array
-            // or simply find the deposit entry by id again from the updatedUser object.
-            const depositEntryAfterUpdate = updatedUser.deposits.find(d => d.txHash === depositTxHash);
-            if (!depositEntryAfterUpdate) {
-                 console.error(`Could not find deposit entry ${depositTxHash} in user document after crediting. Cannot record sweep TX.`);
-                 // Don't return, the crediting succeeded, but log and notify
-                 await notifyAdminOfError('Deposit Sweep TX Recording Error', new Error('Deposit entry not found after update'), `User: ${user.username} (${user._id}), TxHash: ${depositTxHash}. Sweep likely happened, but TX hash could not be recorded in DB.`);
+            const sweepDetails = {};
+            if (sweepResult.success) {
+                console.log(`🧹 Swept ${assetToSweep} from ${user.username}. Sweep Tx: ${sweepResult.txHash}`);
+                sweepDetails['deposits.$.sweepTxHash'] = sweepResult.txHash;
             } else {
-                 if (sweepResult.success) {
-                     console.log(`🧹 Swept ${assetToSweep} from ${user.username}. Sweep Tx: ${sweepResult.txHash}`);
-                     depositEntryAfterUpdate.sweepTxHash = sweepResult.txHash; // Store sweep tx hash on the object
-                 } else {
-                     console.error(`- Sweep failed for ${user.username} (${user._id}) after crediting (${assetToSweep}): ${sweepResult.reason || 'unknown'}. NOTIFY ADMIN!`);
-                     depositEntryAfterUpdate.sweepError = sweepResult.reason || 'unknown sweep failure';
-                     if (sweepResult.reason === 'insufficient_eth_for_gas') {
-                          await notifyAdminOfError('USDT Sweep Requires Gas (Post-Credit)', new Error(sweepResult.reason), `User: ${user.username} (${user._id}) received ${creditsToAdd.toFixed(2)} credits for ${assetToSweep} Tx: ${depositTxHash}, but sweep failed due to insufficient ETH for gas. Admin must manually sweep!`);
-                     } else {
-                          await notifyAdminOfError('Deposit Sweep Failed (Post-Credit)', new Error(sweepResult.reason || 'unknown sweep failure'), `User: ${user.username} (${user._id}) received ${creditsToAdd.toFixed(2)} credits for ${assetToSweep} Tx: ${depositTxHash}, but sweep failed. Admin must manually sweep! Reason: ${sweepResult.reason}`);
-                     }
-                 }
-                 // Save again to record sweep details (tx hash or error)
-                 await updatedUser.save().catch(saveErr => {
-                      console.error(`Error saving user ${user._id} sweep details:`, saveErr);
-                      notifyAdminOfError('Deposit Sweep Details Save Error', saveErr, `Failed to save sweep details for user ${user._id}, TxHash: ${depositTxHash}.`).catch(console.error);
-                 });
+                console.error(`- Sweep failed for ${user.username} (${user._id}) after crediting (${assetToSweep}): ${sweepResult.reason || 'unknown'}. NOTIFY ADMIN!`);
+                sweepDetails['deposits.$.sweepError'] = sweepResult.reason || 'unknown sweep failure';
+                if (sweepResult.reason === 'insufficient_eth_for_gas') {
+                     await notifyAdminOfError('USDT Sweep Requires Gas (Post-Credit)', new Error(sweepResult.reason), `User: ${user.username} (${user._id}) received ${creditsToAdd} credits for ${assetToSweep} Tx: ${depositTxHash}, but sweep failed due to insufficient ETH for gas. Admin must manually sweep!`);
+                } else {
+                     await notifyAdminOfError('Deposit Sweep Failed (Post-Credit)', new Error(sweepResult.reason || 'unknown sweep failure'), `User: ${user.username} (${user._id}) received ${creditsToAdd} credits for ${assetToSweep} Tx: ${depositTxHash}, but sweep failed. Admin must manually sweep! Reason: ${sweepResult.reason}`);
+                }
             }
 
-
+            // Record the sweep tx hash or error on the deposit, matched by its txHash.
+            await User.updateOne({ _id: user._id, 'deposits.txHash': depositTxHash }, { $set: sweepDetails }).catch(saveErr => {
+                 console.error(`Error saving user ${user._id} sweep details:`, saveErr);
+                 notifyAdminOfError('Deposit Sweep Details Save Error', saveErr, `Failed to save sweep details for user ${user._id}, TxHash: ${depositTxHash}.`).catch(console.error);
+            });
         } catch (sweepError) {
             console.error(`- CRITICAL Exception during Sweep for user ${user.username} (${user._id}) post-credit: ${sweepError.message}. NOTIFY ADMIN!`);
-            await notifyAdminOfError('Critical Sweep Exception (Post-Credit)', sweepError, `User: ${user.username} (${user._id}) received ${creditsToAdd.toFixed(2)} credits for ${assetToSweep} Tx: ${depositTxHash}, but sweep failed unexpectedly.`);
-            // Attempt to save the user document to at least record the credited status, even if sweep details are missing
-             if (updateResult && updateResult.isModified()) { // Check if anything else was modified before the save attempt above
-                  await updateResult.save().catch(saveErr => {
-                       console.error(`Error saving user ${user._id} after sweep exception:`, saveErr);
-                       notifyAdminOfError('Deposit Processing Save Error After Sweep Exception', saveErr, `Failed to save user ${user._id} after critical sweep exception for TxHash: ${depositTxHash}.`).catch(console.error);
-                  });
-             }
+            await notifyAdminOfError('Critical Sweep Exception (Post-Credit)', sweepError, `User: ${user.username} (${user._id}) received ${creditsToAdd} credits for ${assetToSweep} Tx: ${depositTxHash}, but sweep failed unexpectedly.`);
         }
 
     } catch (err) {
@@ -286,6 +276,149 @@ async function monitorConfirmations() {
 }
 
 
+function getUsdtContractAddress() {
+    const usdtContractAddress = process.env.USDT_CONTRACT_ADDRESS;
+    return usdtContractAddress && isValidEthereumAddress(usdtContractAddress) ? usdtContractAddress : null;
+}
+
+// Records ETH transfers to user addresses in one block. Throws if the block cannot be fetched
+// or a deposit in it cannot be recorded, so callers do not count it as scanned.
+async function scanBlockForEthDeposits(scanProvider, blockNumber) {
+    const block = await scanProvider.getBlock(blockNumber, true); // Fetch block with transactions
+    if (!block) throw new Error(`Block ${blockNumber} not found`);
+
+    for (const tx of block.prefetchedTransactions) {
+        // Check if the 'to' address is one of our user wallet addresses and it's an ETH transfer (value > 0)
+        if (tx.to && userAddresses.has(tx.to.toLowerCase()) && tx.value > 0n) {
+            const ethAmount = ethers.formatEther(tx.value); // Exact decimal string
+            console.log(`💰 Potential ETH deposit detected in block ${blockNumber}: Tx ${tx.hash} to ${tx.to} (${ethAmount} ETH)`);
+            await recordDetectedDeposit(tx.hash, 'ETH', ethAmount, tx.from, tx.to, blockNumber);
+        }
+    }
+}
+
+// Records USDT Transfer logs to user addresses in blocks fromBlock..toBlock (inclusive).
+// Throws, like scanBlockForEthDeposits, when a log cannot be fetched or recorded.
+async function scanUsdtTransfers(scanProvider, fromBlock, toBlock) {
+    const usdtContractAddress = getUsdtContractAddress();
+    if (!usdtContractAddress || userAddresses.size === 0) return;
+
+    const usdtContract = new ethers.Contract(usdtContractAddress, ERC20_ABI, scanProvider);
+    const filter = usdtContract.filters.Transfer(null, Array.from(userAddresses));
+    const events = await usdtContract.queryFilter(filter, fromBlock, toBlock);
+    for (const event of events) {
+        const [from, to, amount] = event.args;
+        if (amount > 0n) {
+            console.log(`💰 Potential USDT deposit detected in block ${event.blockNumber}: Tx ${event.transactionHash} to ${to}`);
+            await recordDetectedDeposit(event.transactionHash, 'USDT', ethers.formatUnits(amount, 6), from, to, event.blockNumber);
+        }
+    }
+}
+
+// Works out which blocks were missed since the listener last ran (restart, WebSocket outage,
+// reconnect delay) and saves them as the cursor's backfill before any live block can move the
+// cursor past them. Returns the range to scan, or null when nothing was missed.
+async function prepareBackfill(scanProvider) {
+    failedLiveBlocks = []; // Saved failures are rescanned by the backfill below
+
+    const headBlock = await scanProvider.getBlockNumber();
+    const cursor = await ChainCursor.findOne({ name: CURSOR_NAME });
+    if (!cursor) {
+        // First run on this network: nothing to catch up on, track from the current block.
+        await ChainCursor.start(CURSOR_NAME, headBlock);
+        console.log(`Started tracking processed blocks for deposits on ${NETWORK} at block ${headBlock}.`);
+        return null;
+    }
+
+    let fromBlock = cursor.resumeFrom();
+    if (fromBlock > headBlock) return null;
+
+    if (headBlock - fromBlock + 1 > DEPOSIT_BACKFILL_MAX_BLOCKS) {
+        const skippedThrough = headBlock - DEPOSIT_BACKFILL_MAX_BLOCKS;
+        console.error(`❌ Deposit backfill gap of ${headBlock - fromBlock + 1} blocks exceeds DEPOSIT_BACKFILL_MAX_BLOCKS (${DEPOSIT_BACKFILL_MAX_BLOCKS}). Blocks ${fromBlock}-${skippedThrough} will not be scanned.`);
+        await notifyAdminOfError('Deposit Backfill Gap Too Large', null, `Blocks ${fromBlock}-${skippedThrough} on ${NETWORK} were not scanned for deposits (more than DEPOSIT_BACKFILL_MAX_BLOCKS=${DEPOSIT_BACKFILL_MAX_BLOCKS} blocks missed). Check deposits to user addresses in that range manually.`);
+        fromBlock = skippedThrough + 1;
+    }
+
+    await ChainCursor.startBackfill(CURSOR_NAME, fromBlock, headBlock);
+    return { fromBlock, toBlock: headBlock };
+}
+
+// Scans a saved backfill range for ETH and USDT deposits in batches of
+// DEPOSIT_BACKFILL_BATCH_BLOCKS, saving progress after each batch. Stops when the provider it
+// was started with is replaced; the next start resumes after the last saved batch.
+async function runBackfill(scanProvider, fromBlock, toBlock) {
+    const totalBlocks = toBlock - fromBlock + 1;
+    console.log(`⏪ Backfilling deposits for blocks ${fromBlock}-${toBlock} (${totalBlocks} blocks)...`);
+
+    try {
+        for (let batchStart = fromBlock; batchStart <= toBlock; batchStart += DEPOSIT_BACKFILL_BATCH_BLOCKS) {
+            if (provider !== scanProvider) {
+                console.log(`Deposit backfill stopped by a reconnect before block ${batchStart}; it resumes when the listener restarts.`);
+                return;
+            }
+            const batchEnd = Math.min(batchStart + DEPOSIT_BACKFILL_BATCH_BLOCKS - 1, toBlock);
+
+            await scanUsdtTransfers(scanProvider, batchStart, batchEnd);
+            for (let blockNumber = batchStart; blockNumber <= batchEnd; blockNumber++) {
+                await scanBlockForEthDeposits(scanProvider, blockNumber);
+            }
+
+            await ChainCursor.recordBackfillProgress(CURSOR_NAME, batchEnd);
+            console.log(`⏪ Deposit backfill progress: ${batchEnd - fromBlock + 1}/${totalBlocks} blocks (through block ${batchEnd}).`);
+        }
+
+        if (provider === scanProvider) {
+            await ChainCursor.completeBackfill(CURSOR_NAME);
+            console.log(`✅ Deposit backfill for blocks ${fromBlock}-${toBlock} complete.`);
+        }
+    } catch (err) {
+        if (provider !== scanProvider) {
+            // The provider was destroyed mid-batch; the restarted listener picks the backfill up.
+            console.log(`Deposit backfill stopped by a reconnect: ${err.message}`);
+            return;
+        }
+        console.error(`❌ Deposit backfill for blocks ${fromBlock}-${toBlock} failed:`, err.message);
+        await notifyAdminOfError('Deposit Backfill Error', err, `Backfill of blocks ${fromBlock}-${toBlock} on ${NETWORK} failed. It resumes from the last saved batch when the listener restarts.`);
+    }
+}
+
+// Scans a block announced by the provider and moves the cursor past it. A block that fails is
+// saved on the cursor, which then stops advancing, and is retried after the next block that
+// scans cleanly. Returns whether the block was scanned.
+async function processLiveBlock(scanProvider, blockNumber) {
+    const tracking = () => cursorTracking && provider === scanProvider;
+    const isRetry = failedLiveBlocks.includes(blockNumber);
+
+    try {
+        await scanUsdtTransfers(scanProvider, blockNumber, blockNumber);
+        await scanBlockForEthDeposits(scanProvider, blockNumber);
+    } catch (blockErr) {
+        console.error(`❌ Error processing ${isRetry ? 'failed' : 'new'} block ${blockNumber}:`, blockErr.message);
+        if (isRetry) return false;
+
+        notifyAdminOfError('Deposit Listener Block Processing Error', blockErr, `Error processing block ${blockNumber} for deposits. It is retried after the next block.`).catch(console.error);
+        if (tracking()) {
+            failedLiveBlocks.push(blockNumber);
+            await ChainCursor.recordFailedBlock(CURSOR_NAME, blockNumber).catch(err => {
+                // Unsaved, the failure would not hold the cursor back: stop moving it until the next start.
+                cursorTracking = false;
+                console.error(`❌ Failed to save failed deposit block ${blockNumber}; the deposit cursor stays put until the listener restarts:`, err.message);
+            });
+        }
+        return false;
+    }
+
+    if (!tracking()) return true;
+    if (isRetry) {
+        await ChainCursor.clearFailedBlock(CURSOR_NAME, blockNumber);
+        failedLiveBlocks = failedLiveBlocks.filter(failed => failed !== blockNumber);
+        console.log(`✅ Block ${blockNumber} scanned for deposits on retry.`);
+    }
+    await ChainCursor.advance(CURSOR_NAME, blockNumber);
+    return true;
+}
+
 async function startDepositListener() {
     const websocketUrl = ALCHEMY_WEBSOCKET_URL || INFURA_WEBSOCKET_URL;
 
@@ -317,6 +450,7 @@ async function startDepositListener() {
         provider.on("error", async (error) => {
              console.error("🔌 WebSocket provider error:", error.message);
              websocketProviderConnected = false; // Mark state as disconnected
+             cursorTracking = false;
 
              // Clean up existing listeners and intervals to prevent duplicates/zombies
              if (userAddressRefreshInterval) { clearInterval(userAddressRefreshInterval); userAddressRefreshInterval = null; }
@@ -350,86 +484,52 @@ async function startDepositListener() {
          confirmationMonitorInterval = setInterval(monitorConfirmations, CONFIRMATION_CHECK_INTERVAL_MS);
          console.log(`Started confirmation monitor interval (${CONFIRMATION_CHECK_INTERVAL_MS / 1000}s)`);
 
-        console.log("Setting up block and event listeners...");
+        // Save the blocks missed since the last run before live blocks start moving the cursor.
+        let backfillRange = null;
+        try {
+            backfillRange = await prepareBackfill(provider);
+            cursorTracking = true;
+        } catch (cursorErr) {
+            // Without a saved backfill, live blocks must not advance the cursor past the gap;
+            // it is picked up on the next start instead.
+            console.error('❌ Failed to prepare deposit backfill:', cursorErr.message);
+            await notifyAdminOfError('Deposit Backfill Error', cursorErr, `Could not determine the blocks missed on ${NETWORK}. Missed deposits will be scanned on the next listener start.`);
+        }
+
+        if (!provider) return; // The connection failed meanwhile; the error handler restarts the listener.
+
+        console.log("Setting up block listener...");
+
+        if (!getUsdtContractAddress()) {
+            console.warn('⚠️ USDT_CONTRACT_ADDRESS not set or invalid. USDT deposits will not be detected by listener.');
+        }
 
-        // Listen for new blocks (primarily for ETH deposits)
+        // Each new block is scanned for ETH transfers and USDT Transfer logs to user addresses,
+        // then recorded as the last processed block.
         provider.on("block", async (blockNumber) => {
             if (!websocketProviderConnected || !provider) { // Check flags/provider state
                 // console.log(`Ignoring block ${blockNumber}, provider not connected.`);
                 return;
             }
-            // console.log(`New block received: ${blockNumber}`);
+            const scanProvider = provider;
             try {
-                const block = await provider.getBlock(blockNumber, true); // Fetch block with transactions
-                if (!block || !block.transactions) return;
-
-                for (const tx of block.transactions) {
-                    // Check if the 'to' address is one of our user wallet addresses and it's an ETH transfer (value > 0)
-                    if (tx.to && userAddresses.has(tx.to.toLowerCase()) && tx.value > 0n) {
-                        const ethAmount = parseFloat(ethers.formatEther(tx.value));
-                        console.log(`💰 Potential ETH deposit detected in block ${blockNumber}: Tx ${tx.hash} to ${tx.to} (${ethAmount} ETH)`);
-                        // Use setImmediate to avoid blocking the block listener loop
-                        setImmediate(() => recordDetectedDeposit(tx.hash, 'ETH', ethAmount, tx.from, tx.to, blockNumber).catch(console.error));
-                    }
+                if (await processLiveBlock(scanProvider, blockNumber) && failedLiveBlocks.length > 0) {
+                    await processLiveBlock(scanProvider, failedLiveBlocks[0]); // Oldest failure first
                 }
-            } catch (blockErr) {
-                console.error(`❌ Error processing new block ${blockNumber}:`, blockErr.message);
-                // Log block processing errors, but maybe don't notify admin unless they are persistent
-                 notifyAdminOfError('Deposit Listener Block Processing Error', blockErr, `Error processing block ${blockNumber} for ETH deposits.`).catch(console.error);
+            } catch (cursorErr) {
+                console.error(`❌ Failed to update deposit cursor after block ${blockNumber}:`, cursorErr.message);
             }
         });
 
-
-        // Listen for USDT transfers if contract address is configured
-        const usdtContractAddress = process.env.USDT_CONTRACT_ADDRESS;
-        if (usdtContractAddress && isValidEthereumAddress(usdtContractAddress)) {
-            try {
-                 const usdtContract = new ethers.Contract(usdtContractAddress, ERC20_ABI, provider);
-                 // Create a filter to only listen for 'Transfer' events where the 'to' address is in our set of user addresses
-                 // This is more efficient than fetching all Transfer events and filtering client-side.
-                 const toAddressesArray = Array.from(userAddresses);
-                 if (toAddressesArray.length > 0) {
-                      const filter = usdtContract.filters.Transfer(null, toAddressesArray); // Filter by 'to' address
-                      console.log(`Listening for USDT transfers to ${toAddressesArray.length} user addresses on ${usdtContractAddress}...`);
-
-                       usdtContract.on(filter, async (from, to, amount, event) => {
-                           if (!websocketProviderConnected || !provider) { // Check flags/provider state
-                                // console.log(`Ignoring USDT event, provider not connected.`);
-                               return;
-                           }
-                            console.log(`💰 Potential USDT deposit detected: Tx ${event.log.transactionHash} to ${to}`);
-                           try {
-                               // The event provides the amount and necessary transaction info directly in event.log
-                               const usdtAmount = parseFloat(ethers.formatUnits(amount, 6)); // Assuming 6 decimals for USDT based on typical USDT ABI
-
-                               if (usdtAmount > 0) {
-                                   // Use setImmediate to avoid blocking the event listener
-                                    setImmediate(() => recordDetectedDeposit(event.log.transactionHash, 'USDT', usdtAmount, from, to, event.log.blockNumber).catch(console.error));
-                               } else {
-                                    console.log(`Ignoring zero-amount USDT transfer: ${event.log.transactionHash}`);
-                               }
-                           } catch (processErr) {
-                               console.error(`❌ Error processing USDT event ${event.log.transactionHash}:`, processErr.message);
-                                await notifyAdminOfError('Deposit Listener USDT Event Processing Error', processErr, `TxHash: ${event.log.transactionHash}. Failed processing USDT transfer event.`);
-                           }
-                       });
-                      console.log(`✅ Started listening for new blocks and filtered USDT transfers.`);
-                 } else {
-                      console.warn('⚠️ No user wallet addresses loaded. Skipping USDT event listener setup.');
-                 }
-
-            } catch (contractErr) {
-                 console.error(`❌ Error setting up USDT contract listener on address ${usdtContractAddress}:`, contractErr.message);
-                 await notifyAdminOfError('USDT Listener Setup Error', contractErr, `Failed to set up USDT contract listener on address ${usdtContractAddress}.`);
-            }
-        } else {
-            console.warn('⚠️ USDT_CONTRACT_ADDRESS not set or invalid. USDT deposits will not be detected by listener.');
-        }
-
         // Set the connected flag after all listeners and intervals are set up
         websocketProviderConnected = true;
         console.log(`✅ Deposit listener successfully initialized and running.`);
 
+        if (backfillRange) {
+            // Runs alongside live blocks; a block scanned by both is only recorded once.
+            runBackfill(provider, backfillRange.fromBlock, backfillRange.toBlock).catch(console.error);
+        }
+
 
     } catch (err) {
         console.error('❌ Failed to create WebSocket provider instance or initialize listeners:', err);
@@ -452,7 +552,7 @@ async function recordDetectedDeposit(txHash, asset, cryptoAmount, fromAddress, t
             return;
         }
 
-        const user = await User.findOne({ walletAddress: toAddress.toLowerCase() }).select('_id username deposits');
+        const user = await User.findOne({ walletAddress: toAddress.toLowerCase() }).select('_id username');
         if (!user) {
             // This could happen if a user's wallet address was generated but they are deleted before depositing.
             // Or if the userAddresses cache is stale, but the interval should mitigate this.
@@ -463,46 +563,47 @@ async function recordDetectedDeposit(txHash, asset, cryptoAmount, fromAddress, t
 
         console.log(`✍️ Recording potential deposit Tx ${txHash} for user ${user.username} (${user._id})...`);
 
-        let usdValue = 0;
-        try {
-            const price = await getPriceInUSD(asset);
-            if (price > 0) {
-                 usdValue = Math.floor((cryptoAmount * price) * 100) / 100; // Floor to 2 decimal places for USD value
-            } else {
-                console.warn(`Could not get valid price for ${asset} for Tx ${txHash}. USD value set to 0.`);
-                 // Notify admin if price fetch fails specifically during deposit recording
-                 await notifyAdminOfError('Deposit Price Fetch Failed (Recording)', null, `Could not get price for ${asset} for deposit Tx ${txHash}. User: ${user.username}. USD value set to 0 for now.`);
-            }
-        } catch (priceErr) {
-            console.error(`❌ Failed to get price for ${asset} for Tx ${txHash}:`, priceErr.message);
-             await notifyAdminOfError('Deposit Price Fetch Error (Recording)', priceErr, `Failed to get price for ${asset} for deposit Tx ${txHash}. User: ${user.username}. USD value set to 0 for now.`);
-            usdValue = 0;
-        }
+        // Without a price the deposit cannot be valued or checked against the minimum. Throw, so
+        // the block is retried instead of being counted as scanned with the deposit ignored.
+        const price = await getPriceInUSD(asset);
+        if (!(price > 0)) throw new Error(`Invalid ${asset} price: ${price}`);
+        const priceUsd = money.normalize(price);
+        const usdValue = money.depositCredits(cryptoAmount, price); // Floor to 2 decimal places for USD value
 
-        if (usdValue < MIN_DEPOSIT_USD) {
-             console.log(`Ignoring deposit Tx ${txHash} for user ${user.username}: USD value ${usdValue.toFixed(2)} below minimum ${MIN_DEPOSIT_USD}.`);
+        if (money.cmp(usdValue, MIN_DEPOSIT_USD) < 0) {
+             console.log(`Ignoring deposit Tx ${txHash} for user ${user.username}: USD value ${usdValue} below minimum ${MIN_DEPOSIT_USD}.`);
              return;
         }
 
-         // Add the new deposit entry
-         user.deposits.push({
-             txHash,
-             asset,
-             cryptoAmount,
-             usdValue,
-             blockNumber,
-             fromAddress,
-             toAddress,
-             status: 'unconfirmed', // Always start as unconfirmed
-             detectedAt: new Date()
-         });
-
-        await user.save();
-        console.log(`✅ Deposit Tx ${txHash} recorded as 'unconfirmed' for user ${user.username}. Estimated value: $${usdValue.toFixed(2)}`);
+         // Add the new deposit entry. The txHash condition keeps a block scanned by both the live
+         // listener and a backfill from recording the deposit twice.
+         const result = await User.updateOne(
+             { _id: user._id, 'deposits.txHash': { $ne: txHash } },
+             {
+                 $push: {
+                     deposits: {
+                         txHash,
+                         asset,
+                         cryptoAmount,
+                         usdValue,
+                         priceUsd,
+                         blockNumber,
+                         fromAddress,
+                         toAddress,
+                         status: 'unconfirmed', // Always start as unconfirmed
+                         detectedAt: new Date()
+                     }
+                 },
+                 $inc: { __v: 1 }
+             }
+         );
+        if (result.modifiedCount === 0) return; // Recorded concurrently
+        console.log(`✅ Deposit Tx ${txHash} recorded as 'unconfirmed' for user ${user.username}. Estimated value: $${usdValue}`);
 
     } catch (err) {
         console.error(`❌ Error recording detected deposit Tx ${txHash}:`, err);
-         await notifyAdminOfError('Deposit Recording Error', err, `Failed to record deposit Tx ${txHash}. Asset: ${asset}, Amount: ${cryptoAmount}, To: ${toAddress}.`);
+        // The scan that found it must not count its block as scanned; the caller notifies the admin.
+        throw new Error(`Failed to record deposit Tx ${txHash} (${cryptoAmount} ${asset} to ${toAddress}): ${err.message}`, { cause: err });
     }
 }
 
@@ -531,6 +632,7 @@ function shutdownDepositListener() {
       provider = null; // Clear provider reference
   }
   websocketProviderConnected = false;
+  cursorTracking = false;
   console.log('🔌 WebSocket provider destroyed.');
 }
 
@@ -539,4 +641,7 @@ module.exports = {
   shutdownDepositListener,
   // Keep processConfirmedDeposit exported if it's called by other modules (like cron jobs)
   processConfirmedDeposit,
+  CONFIRMATIONS_REQUIRED,
+  MIN_DEPOSIT_USD,
+  NETWORK,
 };
\ No newline at end of file
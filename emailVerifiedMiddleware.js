@@ -0,0 +1,23 @@
+// emailVerifiedMiddleware.js
+const User = require('./user');
+
+async function requireVerifiedEmail(req, res, next) {
+  try {
+    const user = await User.findById(req.userId).select('_id isEmailVerified');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.isEmailVerified) {
+      return res.status(403).json({ error: 'Please verify your email address before using this feature.', code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Email verification check error for user', req.userId, ':', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = requireVerifiedEmail;
@@ -1,22 +1,226 @@
 // history.js
 const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const router = express.Router();
 const authenticate = require('./authMiddleware');
 const User = require('./user');
+const LedgerEntry = require('./ledgerEntry');
+const { LEDGER_ENTRY_TYPES } = require('./ledgerEntry');
+const money = require('./money');
+
+const HISTORY_PAGE_SIZE = parseInt(process.env.HISTORY_PAGE_SIZE || '50', 10);
+const HISTORY_MAX_PAGE_SIZE = parseInt(process.env.HISTORY_MAX_PAGE_SIZE || '200', 10);
+const HISTORY_EXPORT_LIMIT = parseInt(process.env.HISTORY_EXPORT_LIMIT || '10000', 10);
+// Ledger entries read to work out running balances, beyond the page itself (filters can leave
+// many unlisted entries between two listed ones). Entries past it are returned with balance null.
+const HISTORY_BALANCE_SCAN_LIMIT = parseInt(process.env.HISTORY_BALANCE_SCAN_LIMIT || '1000', 10);
+
+const CSV_COLUMNS = ['id', 'date', 'type', 'amount', 'stakedAmount', 'balance', 'reason', 'sourceKind', 'sourceId'];
+
+// Net change an entry made to one of the user's accounts.
+function netPosting(entry, account, userId) {
+  return money.sum(entry.postings
+    .filter(posting => posting.account === account && String(posting.userId) === String(userId))
+    .map(posting => posting.amount));
+}
+
+// Entries are ordered newest first by (date, _id); the cursor is the last item's position and,
+// when known, the balance before that item, so the next page continues the running balance
+// instead of summing the ledger again. The balance is signed, as it is shown as the user's own.
+function cursorSignature(userId, payload) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(`${userId}|${payload}`).digest('base64url');
+}
+
+function encodeCursor(userId, entry, balanceBefore) {
+  const position = `${entry.date.toISOString()}|${entry._id}`;
+  if (balanceBefore === null) return Buffer.from(position).toString('base64url');
+  const payload = `${position}|${balanceBefore}`;
+  return Buffer.from(`${payload}|${cursorSignature(userId, payload)}`).toString('base64url');
+}
+
+function decodeCursor(userId, cursor) {
+  const [date, id, balance, signature] = Buffer.from(cursor, 'base64url').toString().split('|');
+  const parsedDate = new Date(date);
+  if (isNaN(parsedDate.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  const position = { date: parsedDate, _id: new mongoose.Types.ObjectId(id) };
+
+  // A balance that does not verify is dropped; the page then sums it from the ledger.
+  if (balance !== undefined && signature) {
+    const expected = Buffer.from(cursorSignature(userId, `${date}|${id}|${balance}`));
+    const given = Buffer.from(signature);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) position.balance = balance;
+  }
+  return position;
+}
+
+// Entries at or before (inclusive) / strictly before a position in the ordering.
+function atOrBefore({ date, _id }, inclusive) {
+  return { $or: [{ date: { $lt: date } }, { date, _id: inclusive ? { $lte: _id } : { $lt: _id } }] };
+}
+
+// Builds the ledger query from the history filters. Returns { error } or { filter }.
+//   type       comma-separated entry types
+//   from, to   date range (inclusive)
+//   minAmount, maxAmount  size of the change to the balance, whichever direction
+function buildHistoryFilter(userId, query) {
+  const conditions = [{ 'postings.userId': userId }];
+
+  if (query.type) {
+    const types = String(query.type).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !LEDGER_ENTRY_TYPES.includes(type));
+    if (unknown.length > 0) return { error: `Unknown type: ${unknown.join(', ')}. Valid types: ${LEDGER_ENTRY_TYPES.join(', ')}` };
+    conditions.push({ type: { $in: types } });
+  }
+
+  if (query.from || query.to) {
+    const date = {};
+    if (query.from) date.$gte = new Date(query.from);
+    if (query.to) date.$lte = new Date(query.to);
+    if (Object.values(date).some(value => isNaN(value.getTime()))) return { error: 'Invalid from/to date' };
+    conditions.push({ date });
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    const min = query.minAmount !== undefined ? money.parseAmount(query.minAmount, { allowZero: true }) : '0';
+    const max = query.maxAmount !== undefined ? money.parseAmount(query.maxAmount, { allowZero: true }) : null;
+    if (min === null || (query.maxAmount !== undefined && max === null)) {
+      return { error: 'minAmount and maxAmount must be non-negative amounts.' };
+    }
+    if (max !== null && money.cmp(min, max) > 0) return { error: 'minAmount cannot be greater than maxAmount.' };
+
+    const credit = { $gte: money.toDecimal128(min) };
+    const debit = { $lte: money.toDecimal128(money.negate(min)) };
+    if (max !== null) {
+      credit.$lte = money.toDecimal128(max);
+      debit.$gte = money.toDecimal128(money.negate(max));
+    }
+    conditions.push({
+      postings: {
+        $elemMatch: { account: 'user', userId, $or: [{ amount: credit }, { amount: debit }] }
+      }
+    });
+  }
+
+  let position = null;
+  if (query.cursor) {
+    position = decodeCursor(userId, String(query.cursor));
+    if (!position) return { error: 'Invalid cursor' };
+    conditions.push(atOrBefore(position, false));
+  }
+
+  return { filter: { $and: conditions }, position };
+}
+
+// The user's available balance after each of `entries` (newest first). Balances come from
+// the whole ledger, not just the filtered entries: the walk starts from the balance the cursor
+// carries (or one sum up to the newest entry on the first page) and steps back through every
+// entry down to the oldest one, reading at most HISTORY_BALANCE_SCAN_LIMIT entries beyond the
+// page. Returns { items, balanceBefore }, the balance before the oldest entry (null if unknown).
+async function attachRunningBalances(userId, entries, position) {
+  if (entries.length === 0) return { items: [], balanceBefore: null };
+  const newest = entries[0];
+  const oldest = entries[entries.length - 1];
+
+  let balance;
+  let rangeStart;
+  if (position && position.balance !== undefined) {
+    balance = position.balance;
+    rangeStart = atOrBefore(position, false);
+  } else {
+    const [total] = await LedgerEntry.aggregate([
+      { $match: { $and: [{ 'postings.userId': userId }, atOrBefore(newest, true)] } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.account': 'user', 'postings.userId': userId } },
+      { $group: { _id: null, balance: { $sum: '$postings.amount' } } }
+    ]);
+    balance = money.normalize(total ? total.balance : 0);
+    rangeStart = atOrBefore(newest, true);
+  }
+
+  const range = await LedgerEntry.find({ $and: [{ 'postings.userId': userId }, rangeStart, { $nor: [atOrBefore(oldest, false)] }] })
+    .sort({ date: -1, _id: -1 })
+    .limit(entries.length + HISTORY_BALANCE_SCAN_LIMIT)
+    .select('postings')
+    .lean();
+
+  const balanceAfter = new Map();
+  for (const entry of range) {
+    balanceAfter.set(String(entry._id), balance);
+    balance = money.sub(balance, netPosting(entry, 'user', userId));
+  }
+
+  const items = entries.map(entry => {
+    const known = balanceAfter.has(String(entry._id));
+    return {
+      id: entry._id,
+      type: entry.type,
+      amount: money.toNumber(netPosting(entry, 'user', userId)),
+      stakedAmount: money.toNumber(netPosting(entry, 'stake', userId)),
+      balance: known ? money.toNumber(balanceAfter.get(String(entry._id))) : null,
+      reason: entry.description,
+      source: entry.source,
+      relatedEntryId: entry.relatedEntryId,
+      date: entry.date
+    };
+  });
+  // The walk reached the oldest entry only if it was read.
+  return { items, balanceBefore: balanceAfter.has(String(oldest._id)) ? balance : null };
+}
+
+async function findHistory(req, res, limit) {
+  const user = await User.findById(req.userId).select('_id');
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  const { filter, position, error } = buildHistoryFilter(user._id, req.query);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  const entries = await LedgerEntry.find(filter)
+    .sort({ date: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = entries.length > limit;
+  const page = entries.slice(0, limit);
+  const { items, balanceBefore } = await attachRunningBalances(user._id, page, position);
+  return {
+    history: items,
+    nextCursor: hasMore ? encodeCursor(user._id, page[page.length - 1], balanceBefore) : null
+  };
+}
+
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value instanceof Date ? value.toISOString() : value);
+  // Keep spreadsheets from evaluating descriptions as formulas.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
 // GET /api/history/history - Get logged-in user's credit transaction history
 router.get('/history/history', authenticate, async (req, res) => {
-  try {
-    const user = await User.findById(req.userId).select('creditsHistory');
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+  let limit = HISTORY_PAGE_SIZE;
+  if (req.query.limit !== undefined) {
+    limit = parseInt(req.query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > HISTORY_MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${HISTORY_MAX_PAGE_SIZE}.` });
     }
+  }
 
-    const sortedHistory = user.creditsHistory.sort((a, b) => new Date(b.date) - new Date(a.date));
+  try {
+    const result = await findHistory(req, res, limit);
+    if (!result) return;
 
     res.json({
       message: '✅ Credit history fetched successfully',
-      history: sortedHistory,
+      history: result.history,
+      nextCursor: result.nextCursor,
+      hasMore: result.nextCursor !== null
     });
   } catch (err) {
     console.error('Error fetching credit history:', err);
@@ -24,4 +228,38 @@ router.get('/history/history', authenticate, async (req, res) => {
   }
 });
 
+// GET /api/history/history/export?format=csv|json - The same filters, as a download
+router.get('/history/history/export', authenticate, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: "format must be 'csv' or 'json'." });
+  }
+
+  try {
+    const result = await findHistory(req, res, HISTORY_EXPORT_LIMIT);
+    if (!result) return;
+
+    const filename = `credit-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // Too many entries for one file: the cursor continues where this export stopped.
+    if (result.nextCursor) res.setHeader('X-Next-Cursor', result.nextCursor);
+
+    if (format === 'json') {
+      return res.json({
+        exportedAt: new Date(),
+        history: result.history,
+        nextCursor: result.nextCursor
+      });
+    }
+
+    const rows = result.history.map(item => [
+      item.id, item.date, item.type, item.amount, item.stakedAmount, item.balance, item.reason, item.source && item.source.kind, item.source && item.source.id
+    ].map(csvField).join(','));
+    res.type('text/csv').send([CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n');
+  } catch (err) {
+    console.error('Error exporting credit history:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
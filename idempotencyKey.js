@@ -0,0 +1,57 @@
+// idempotencyKey.js
+const mongoose = require('mongoose');
+
+// An Idempotency-Key sent by a user with a money-moving request, and the response it got.
+// Keys are scoped to the user; the same key on another route or with another payload is
+// rejected rather than replayed. Documents expire after IDEMPOTENCY_KEY_TTL_HOURS.
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // sha256 of the request body, without confirmation secrets (2FA code, password).
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // 'processing' until the first request has answered.
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // When the request now processing started; a retry takes over a key stuck processing for
+  // longer than IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES.
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,126 @@
+// idempotencyMiddleware.js
+const crypto = require('crypto');
+const IdempotencyKey = require('./idempotencyKey');
+
+const IDEMPOTENCY_KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+// A key still 'processing' after this long belongs to a request that never answered (crash,
+// or a handler that did not respond with res.json); a retry takes it over and runs again.
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES || '5', 10) * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Confirmation secrets change between retries (a TOTP code cannot be used twice), so they
+// are not part of the payload a key is bound to.
+const UNHASHED_FIELDS = ['twoFactorCode', 'password'];
+
+// Refusals that happen before the handler does anything: the key is released so the client
+// can retry with it, e.g. after entering a 2FA code. Everything else is stored, 5xx included:
+// a 500 may come after the change was committed, so a retry must not run it again.
+const RELEASED_STATUSES = [401, 403, 429];
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = canonicalize(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+// Claims a 'processing' key whose request started before the timeout. Returns the record, or
+// null while the request may still be running (or another retry claimed it first).
+function takeOverStale(existing) {
+  const cutoff = new Date(Date.now() - IDEMPOTENCY_PROCESSING_TIMEOUT_MS);
+  return IdempotencyKey.findOneAndUpdate({
+    _id: existing._id,
+    status: 'processing',
+    $or: [
+      { startedAt: { $lte: cutoff } },
+      { startedAt: { $exists: false }, createdAt: { $lte: cutoff } }
+    ]
+  }, {
+    $set: { startedAt: new Date(), expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS) }
+  }, { new: true });
+}
+
+function hashRequest(body) {
+  const payload = { ...(body || {}) };
+  for (const field of UNHASHED_FIELDS) delete payload[field];
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(payload))).digest('hex');
+}
+
+// Deduplicates retries of a request that carries an Idempotency-Key header: the first request
+// runs and its response is stored; later ones with the same key get that response back
+// (with `Idempotent-Replayed: true`). Requests without the header run as usual. Mount after
+// authentication, before the 2FA check, so a replay does not need a fresh code.
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters without spaces.`, code: 'IDEMPOTENCY_KEY_INVALID' });
+  }
+
+  const path = req.baseUrl + req.path;
+  const requestHash = hashRequest(req.body);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      userId: req.userId,
+      key,
+      method: req.method,
+      path,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS)
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      console.error('Idempotency key error for user', req.userId, ':', err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    const existing = await IdempotencyKey.findOne({ userId: req.userId, key }).lean().catch(() => null);
+    if (!existing) {
+      // Released or expired between the insert and the read.
+      res.set('Retry-After', '1');
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is being processed. Please retry.', code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' });
+    }
+    if (existing.method !== req.method || existing.path !== path || existing.requestHash !== requestHash) {
+      return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request.', code: 'IDEMPOTENCY_KEY_REUSED' });
+    }
+    if (existing.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    record = await takeOverStale(existing).catch(takeOverErr => {
+      console.error('Idempotency key takeover error for user', req.userId, ':', takeOverErr);
+      return null;
+    });
+    if (!record) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is being processed. Please retry.', code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' });
+    }
+    console.warn(`⚠️ Idempotency-Key ${key} of user ${req.userId} was stuck processing; retrying the request.`);
+  }
+
+  // Store the response before it is sent, so a retry that arrives right after it replays it.
+  const sendJson = res.json.bind(res);
+  res.json = body => {
+    const settle = RELEASED_STATUSES.includes(res.statusCode)
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne({ _id: record._id }, {
+        $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body, completedAt: new Date() }
+      });
+    settle
+      .catch(err => console.error(`❌ Failed to store response for Idempotency-Key ${key} of user ${req.userId}:`, err))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+}
+
+module.exports = idempotency;
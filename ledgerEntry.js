@@ -0,0 +1,201 @@
+// ledgerEntry.js
+const mongoose = require('mongoose');
+const money = require('./money');
+
+// 'user' is a user's spendable balance and 'stake' the principal they have locked in stakes;
+// both are per user. The rest are platform accounts: 'treasury' is the counterpart of money
+// entering or leaving the platform (deposits, withdrawals, admin adjustments), and 'transfers'
+// holds credits between the two halves of a transfer between users, so it nets to zero.
+const LEDGER_ACCOUNTS = ['user', 'stake', 'treasury', 'rewards_expense', 'fees', 'transfers'];
+const USER_ACCOUNTS = ['user', 'stake'];
+
+const LEDGER_ENTRY_TYPES = [
+  'deposit',
+  'reward',
+  'referral',
+  'withdrawal',
+  'stake',
+  'admin_adjustment',
+  'withdrawal_refund',
+  'unstake',
+  'unstake_fee',
+  'opening_balance',
+  'transfer_out',
+  'transfer_in'
+];
+
+const LEDGER_SOURCE_KINDS = ['stake', 'deposit', 'withdrawal', 'reward_payout', 'admin', 'migration', 'transfer'];
+
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  }
+}, { _id: false });
+
+// One balanced journal entry: its postings always sum to zero, so every credit to one account
+// is a debit to another. Entries are append-only; corrections are new entries.
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  // The user the entry is about, for history lookups.
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  postings: {
+    type: [postingSchema],
+    required: true
+  },
+  source: {
+    kind: { type: String, enum: LEDGER_SOURCE_KINDS, required: true },
+    id: { type: String, required: true }
+  },
+  description: String,
+  // The other half of a two-sided operation: a transfer's sender and recipient entries
+  // point at each other.
+  relatedEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  // Set for entries that must only ever be posted once (e.g. 'deposit:<txHash>').
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+  toJSON: { transform: money.decimalJsonTransform }
+});
+
+ledgerEntrySchema.index({ 'postings.userId': 1, date: -1 });
+ledgerEntrySchema.index({ 'source.kind': 1, 'source.id': 1 });
+
+ledgerEntrySchema.pre('validate', function (next) {
+  if (!this.postings || this.postings.length < 2) {
+    return next(new Error('A ledger entry needs at least two postings.'));
+  }
+  if (this.postings.some(posting => USER_ACCOUNTS.includes(posting.account) && !posting.userId)) {
+    return next(new Error('Postings to user and stake accounts need a userId.'));
+  }
+  const total = money.sum(this.postings.map(posting => posting.amount));
+  if (!money.isZero(total)) {
+    return next(new Error(`Ledger entry is unbalanced by ${total}.`));
+  }
+  next();
+});
+
+function rejectMutation(next) {
+  next(new Error('Ledger entries are append-only and cannot be modified or deleted.'));
+}
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  ledgerEntrySchema.pre(op, function (next) { rejectMutation(next); });
+});
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+// Posts an entry. Re-posting an entry with the same dedupeKey returns the existing one, except
+// inside a transaction, where the duplicate key error aborts the transaction and is thrown.
+ledgerEntrySchema.statics.post = async function (data, { session } = {}) {
+  try {
+    const [entry] = await this.create([data], { session });
+    return entry;
+  } catch (err) {
+    if (err.code === 11000 && data.dedupeKey && !session) {
+      return this.findOne({ dedupeKey: data.dedupeKey });
+    }
+    throw err;
+  }
+};
+
+// A user's balances as derived from the ledger: { available, staked }.
+ledgerEntrySchema.statics.getUserBalances = async function (userId) {
+  const totals = await this.aggregate([
+    { $match: { 'postings.userId': new mongoose.Types.ObjectId(String(userId)) } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.userId': new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: '$postings.account', total: { $sum: '$postings.amount' } } }
+  ]);
+  const byAccount = new Map(totals.map(row => [row._id, row.total]));
+  return { available: money.normalize(byAccount.get('user') || 0), staked: money.normalize(byAccount.get('stake') || 0) };
+};
+
+// A user's postings on entries of the given types, summed per source record: a Map from
+// '<source kind>:<source id>' (e.g. 'deposit:<txHash>') to { available, staked }.
+ledgerEntrySchema.statics.getUserSourceTotals = async function (userId, types) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+  const totals = await this.aggregate([
+    { $match: { 'postings.userId': id, type: { $in: types } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.userId': id } },
+    { $group: { _id: { kind: '$source.kind', id: '$source.id', account: '$postings.account' }, total: { $sum: '$postings.amount' } } }
+  ]);
+  const bySource = new Map();
+  for (const row of totals) {
+    const key = `${row._id.kind}:${row._id.id}`;
+    const entry = bySource.get(key) || { available: '0', staked: '0' };
+    entry[row._id.account === 'stake' ? 'staked' : 'available'] = money.normalize(row.total);
+    bySource.set(key, entry);
+  }
+  return bySource;
+};
+
+// Totals per account type across the whole ledger; they sum to zero.
+ledgerEntrySchema.statics.getAccountTotals = async function () {
+  const totals = await this.aggregate([
+    { $unwind: '$postings' },
+    { $group: { _id: '$postings.account', total: { $sum: '$postings.amount' } } }
+  ]);
+  return LEDGER_ACCOUNTS.reduce((acc, account) => {
+    const row = totals.find(total => total._id === account);
+    acc[account] = money.normalize(row ? row.total : 0);
+    return acc;
+  }, {});
+};
+
+// Posting helpers: accounts.user(id) / accounts.stake(id) / accounts.treasury ..., and
+// move(from, to, amount) for the pair of postings that moves `amount` between two accounts.
+const accounts = {
+  user: userId => ({ account: 'user', userId }),
+  stake: userId => ({ account: 'stake', userId }),
+  treasury: { account: 'treasury' },
+  rewardsExpense: { account: 'rewards_expense' },
+  fees: { account: 'fees' },
+  transfers: { account: 'transfers' }
+};
+
+function move(from, to, amount) {
+  return [{ ...from, amount: money.negate(amount) }, { ...to, amount: money.normalize(amount) }];
+}
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+module.exports.LEDGER_ENTRY_TYPES = LEDGER_ENTRY_TYPES;
+module.exports.accounts = accounts;
+module.exports.move = move;
@@ -0,0 +1,38 @@
+// loginAttempt.js
+const mongoose = require('mongoose');
+
+// Failed-login counters. `key` is "user:<userId>" for an existing account, "id:<identifier>"
+// for an identifier that matches none, or "ip:<address>".
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['account', 'identifier', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ lockedUntil: 1 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
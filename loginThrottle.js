@@ -0,0 +1,134 @@
+// loginThrottle.js
+const LoginAttempt = require('./loginAttempt');
+const User = require('./user');
+const { notifyAdminOfError } = require('./errorNotifier');
+
+const MAX_ATTEMPTS_PER_IDENTIFIER = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IDENTIFIER || '5', 10);
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '20', 10);
+const LOCKOUT_BASE_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || '60', 10) * 1000;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS || '3600', 10) * 1000;
+const FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '60', 10) * 60 * 1000;
+
+// Failures are counted per account, so signing in by email and by username share one
+// allowance. An identifier that matches no account is counted as typed.
+function accountKey({ userId, identifier }) {
+  return userId ? `user:${userId}` : `id:${String(identifier).trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+// Lock length doubles with every failure past the allowance: base, 2x base, 4x base, ... up to the cap.
+function computeLockoutMs(failures, allowance) {
+  const overLimit = failures - allowance;
+  if (overLimit <= 0) return 0;
+  return Math.min(LOCKOUT_BASE_MS * 2 ** (overLimit - 1), LOCKOUT_MAX_MS);
+}
+
+// `account` is { userId } for an existing account, or { identifier } as typed when none matches.
+// Returns { locked, retryAfterSeconds } covering both the account and the IP.
+async function checkLoginLock(account, ip) {
+  const now = new Date();
+  const locks = await LoginAttempt.find({
+    key: { $in: [accountKey(account), ipKey(ip)] },
+    lockedUntil: { $gt: now }
+  }).select('lockedUntil');
+
+  if (locks.length === 0) {
+    return { locked: false, retryAfterSeconds: 0 };
+  }
+
+  const until = Math.max(...locks.map(lock => lock.lockedUntil.getTime()));
+  return { locked: true, retryAfterSeconds: Math.ceil((until - now.getTime()) / 1000) };
+}
+
+// Counts one failure for `key`, creating its record on the first one. When two failures race
+// to create it, the loser's upsert fails with a duplicate key; run again, it updates the record
+// the other one created.
+async function incrementFailures(key, kind, now) {
+  const update = () => LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) },
+      $setOnInsert: { kind }
+    },
+    { new: true, upsert: true }
+  );
+
+  try {
+    return await update();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return update();
+  }
+}
+
+async function registerFailure(key, kind, allowance, context) {
+  const now = new Date();
+  const attempt = await incrementFailures(key, kind, now);
+
+  const lockoutMs = computeLockoutMs(attempt.failures, allowance);
+  if (lockoutMs === 0) return;
+
+  const lockedUntil = new Date(now.getTime() + lockoutMs);
+  await LoginAttempt.updateOne(
+    { _id: attempt._id },
+    {
+      $set: { lockedUntil, expiresAt: new Date(lockedUntil.getTime() + FAILURE_WINDOW_MS) },
+      $inc: { lockCount: 1 }
+    }
+  );
+
+  console.warn(`🔒 Login lockout for ${key} after ${attempt.failures} failed attempts. Locked for ${Math.round(lockoutMs / 1000)}s.`);
+  notifyAdminOfError(
+    'Login Lockout Triggered',
+    null,
+    `Key: ${key}\nFailed attempts: ${attempt.failures}\nLocked until: ${lockedUntil.toISOString()}\n${context}`
+  ).catch(console.error);
+}
+
+async function recordLoginFailure(account, ip) {
+  const context = `${account.userId ? `User: ${account.userId}` : `Identifier: ${account.identifier}`}\nIP: ${ip}`;
+  await Promise.all([
+    registerFailure(accountKey(account), account.userId ? 'account' : 'identifier', MAX_ATTEMPTS_PER_IDENTIFIER, context),
+    registerFailure(ipKey(ip), 'ip', MAX_ATTEMPTS_PER_IP, context),
+  ]);
+}
+
+// Only the account counter is cleared on success; clearing the IP counter would let an
+// attacker reset it by logging into an account of their own.
+async function clearLoginFailures(account) {
+  await LoginAttempt.deleteOne({ key: accountKey(account) });
+}
+
+// `identifier` is an email or username: clears the counter of the account it names as well
+// as any counter kept for the identifier as typed.
+async function unlockLogin({ identifier, ip }) {
+  const keys = [];
+  if (identifier) {
+    keys.push(accountKey({ identifier }));
+    const user = await User.findByEmailOrUsername(String(identifier).trim()).select('_id');
+    if (user) keys.push(accountKey({ userId: user._id }));
+  }
+  if (ip) keys.push(ipKey(ip));
+  if (keys.length === 0) return 0;
+
+  const result = await LoginAttempt.deleteMany({ key: { $in: keys } });
+  return result.deletedCount;
+}
+
+async function listActiveLocks() {
+  return LoginAttempt.find({ lockedUntil: { $gt: new Date() } })
+    .select('key kind failures lockedUntil lockCount lastFailureAt')
+    .sort({ lockedUntil: -1 });
+}
+
+module.exports = {
+  checkLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockLogin,
+  listActiveLocks,
+};
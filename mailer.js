@@ -0,0 +1,143 @@
+// mailer.js
+const nodemailer = require('nodemailer');
+
+// MAIL_TRANSPORT selects where user-facing mail goes:
+//   smtp    - real delivery using the EMAIL_* settings (default)
+//   capture - kept in memory, readable through getCapturedMail() for local testing
+//   console - printed to stdout
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase();
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+const capturedMail = [];
+let transport = null;
+
+function createCaptureTransport() {
+  return {
+    sendMail: async (mailOptions) => {
+      capturedMail.push({ ...mailOptions, sentAt: new Date() });
+      return { messageId: `capture-${capturedMail.length}` };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    sendMail: async (mailOptions) => {
+      console.log(`📧 [console mail] To: ${mailOptions.to} | Subject: ${mailOptions.subject}\n${mailOptions.text || mailOptions.html}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+function createDefaultTransport() {
+  if (MAIL_TRANSPORT === 'capture') return createCaptureTransport();
+  if (MAIL_TRANSPORT === 'console') return createConsoleTransport();
+
+  if (!process.env.EMAIL_HOST || !process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    console.warn('⚠️ User mail is disabled. EMAIL_HOST, EMAIL_USER, or EMAIL_PASS environment variables are not fully set.');
+    return null;
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT || '587', 10),
+    secure: parseInt(process.env.EMAIL_PORT || '587', 10) === 465,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+    connectionTimeout: 10000,
+    socketTimeout: 10000,
+  });
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+}
+
+// Replace the active transport, e.g. with a capture transport in local tests.
+function setMailTransport(newTransport) {
+  transport = newTransport;
+}
+
+function getCapturedMail() {
+  return capturedMail.slice();
+}
+
+function clearCapturedMail() {
+  capturedMail.length = 0;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const activeTransport = getTransport();
+  if (!activeTransport) {
+    console.warn(`Mail "${subject}" to ${to} not sent: no mail transport configured.`);
+    return null;
+  }
+
+  const info = await activeTransport.sendMail({
+    from: process.env.EMAIL_FROM || `"Staking Platform" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    text,
+    html,
+  });
+  return info;
+}
+
+async function sendVerificationEmail(user, token) {
+  const link = `${APP_BASE_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `
+      <p>Hi ${user.username},</p>
+      <p>Please confirm your email address by opening the link below:</p>
+      <p><a href="${link}">${link}</a></p>
+      <p>If you did not create an account, you can ignore this email.</p>
+    `,
+  });
+}
+
+async function sendPasswordResetEmail(user, token, ttlMinutes) {
+  const link = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nWe received a request to reset your password. Open the link below within ${ttlMinutes} minutes to choose a new one:\n${link}\n\nIf you did not request this, you can ignore this email and your password will stay the same.`,
+    html: `
+      <p>Hi ${user.username},</p>
+      <p>We received a request to reset your password. Open the link below within ${ttlMinutes} minutes to choose a new one:</p>
+      <p><a href="${link}">${link}</a></p>
+      <p>If you did not request this, you can ignore this email and your password will stay the same.</p>
+    `,
+  });
+}
+
+async function sendNewLoginAlertEmail(user, { ip, userAgent, time }) {
+  return sendMail({
+    to: user.email,
+    subject: 'New sign-in to your account',
+    text: `Hi ${user.username},\n\nYour account was just accessed from a new IP address.\n\nIP: ${ip}\nDevice: ${userAgent || 'unknown'}\nTime: ${time.toISOString()}\n\nIf this was you, no action is needed. If not, reset your password immediately and sign out of all sessions.`,
+    html: `
+      <p>Hi ${user.username},</p>
+      <p>Your account was just accessed from a new IP address.</p>
+      <p><strong>IP:</strong> ${ip}<br><strong>Device:</strong> ${userAgent || 'unknown'}<br><strong>Time:</strong> ${time.toISOString()}</p>
+      <p>If this was you, no action is needed. If not, reset your password immediately and sign out of all sessions.</p>
+    `,
+  });
+}
+
+module.exports = {
+  sendMail,
+  sendNewLoginAlertEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  setMailTransport,
+  getCapturedMail,
+  clearCapturedMail,
+};
@@ -0,0 +1,41 @@
+// migrateEmailVerification.js
+// One-off migration for email verification: marks accounts that existed before it as verified,
+// so they are not locked out of staking, withdrawals and transfers. Registration always sends a
+// verification email, so an account that was never sent one predates the flow.
+//
+//   node migrateEmailVerification.js [--dry-run]
+//
+// Safe to re-run, also after the new version has started: accounts registered since then have
+// emailVerificationSentAt set and are left to verify as usual.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./user');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const PRE_EXISTING_UNVERIFIED = {
+  isEmailVerified: { $ne: true },
+  emailVerificationSentAt: { $exists: false }
+};
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`🔄 Marking pre-existing accounts as email-verified${dryRun ? ' (dry run)' : ''}...`);
+
+    let marked;
+    if (dryRun) {
+      marked = await User.countDocuments(PRE_EXISTING_UNVERIFIED);
+    } else {
+      const result = await User.updateMany(PRE_EXISTING_UNVERIFIED, { $set: { isEmailVerified: true } });
+      marked = result.modifiedCount;
+    }
+
+    console.log(`✅ Email verification migration ${dryRun ? 'dry run ' : ''}complete. ${dryRun ? 'Would mark' : 'Marked'} ${marked} accounts as verified.`);
+  } catch (err) {
+    console.error('❌ Email verification migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,68 @@
+// migrateLedger.js
+// One-off migration onto the ledger: posts an opening balance for every user whose credits or
+// active stakes are not yet fully explained by ledger entries. The legacy creditsHistory array
+// is capped and can't be replayed, so it is left in place for reference only.
+//
+//   node migrateLedger.js [--dry-run]
+//
+// Safe to re-run: each user gets at most one opening_balance entry.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./user');
+const LedgerEntry = require('./ledgerEntry');
+const { accounts } = require('./ledgerEntry');
+const money = require('./money');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  let checked = 0;
+  let posted = 0;
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    await LedgerEntry.ensureIndexes();
+    console.log(`🔄 Migrating balances to the ledger${dryRun ? ' (dry run)' : ''}...`);
+
+    const cursor = User.find().select('_id username credits stakes').lean().cursor();
+    for await (const user of cursor) {
+      checked++;
+
+      const derived = await LedgerEntry.getUserBalances(user._id);
+      const staked = money.sum((user.stakes || [])
+        .filter(stake => stake.status === 'active')
+        .map(stake => stake.amount));
+
+      const availableGap = money.sub(user.credits || 0, derived.available);
+      const stakedGap = money.sub(staked, derived.staked);
+
+      const postings = [];
+      if (!money.isZero(availableGap)) postings.push({ ...accounts.user(user._id), amount: availableGap });
+      if (!money.isZero(stakedGap)) postings.push({ ...accounts.stake(user._id), amount: stakedGap });
+      if (postings.length === 0) continue;
+
+      postings.push({ ...accounts.treasury, amount: money.negate(money.add(availableGap, stakedGap)) });
+      const signed = value => (money.cmp(value, 0) >= 0 ? `+${value}` : value);
+      console.log(`  ${user.username} (${user._id}): available ${signed(availableGap)}, staked ${signed(stakedGap)}`);
+
+      if (!dryRun) {
+        await LedgerEntry.post({
+          type: 'opening_balance',
+          userId: user._id,
+          postings,
+          source: { kind: 'migration', id: String(user._id) },
+          description: 'Opening balance migrated from the user document',
+          dedupeKey: `opening_balance:${user._id}`
+        });
+      }
+      posted++;
+    }
+
+    console.log(`✅ Ledger migration ${dryRun ? 'dry run ' : ''}complete. Checked ${checked} users, ${dryRun ? 'would post' : 'posted'} ${posted} opening balances.`);
+  } catch (err) {
+    console.error('❌ Ledger migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,142 @@
+// migrateMoney.js
+// One-off migration of stored amounts from floating point Numbers to Decimal128. Credit amounts
+// are rounded half-even to money.SCALE decimals (that is what strips float noise such as
+// 0.30000000000000004); crypto amounts keep every digit of their shortest decimal form.
+//
+//   node migrateMoney.js [--dry-run]
+//
+// Safe to re-run: only fields still stored as numbers are touched, and each update is
+// conditional on the old values, so a document changed mid-run is reported and picked up
+// by the next run. Ledger entries whose postings would stop balancing after rounding are
+// left as they are and listed for manual review.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./user');
+const LedgerEntry = require('./ledgerEntry');
+const RewardPayout = require('./rewardPayout');
+const PlanCapacity = require('./planCapacity');
+const money = require('./money');
+
+const CRYPTO_DECIMALS = 18;
+const dryRun = process.argv.includes('--dry-run');
+
+const STAKE_FIELDS = ['amount', 'reward', 'dailyReward', 'rewardsPaid', 'compoundedRewards', 'capacityReserved', 'unstakeFee', 'unstakePayout'];
+
+function toCryptoDecimal(value) {
+  return mongoose.Types.Decimal128.fromString(money.convert(value, 1, { decimals: CRYPTO_DECIMALS }));
+}
+
+// $set paths for every numeric money field of a raw user document, plus a filter matching
+// the values they replace.
+function planUserUpdate(user) {
+  const $set = {};
+  const filter = { _id: user._id };
+  const convert = (path, value, toDecimal) => {
+    if (typeof value !== 'number') return;
+    $set[path] = toDecimal(value);
+    filter[path] = value;
+  };
+
+  convert('credits', user.credits, money.toDecimal128);
+  convert('referralEarnings', user.referralEarnings, money.toDecimal128);
+  (user.stakes || []).forEach((stake, i) => {
+    for (const field of STAKE_FIELDS) convert(`stakes.${i}.${field}`, stake[field], money.toDecimal128);
+  });
+  (user.withdrawals || []).forEach((withdrawal, i) => {
+    convert(`withdrawals.${i}.amount`, withdrawal.amount, money.toDecimal128);
+  });
+  (user.deposits || []).forEach((deposit, i) => {
+    convert(`deposits.${i}.usdValue`, deposit.usdValue, money.toDecimal128);
+    convert(`deposits.${i}.cryptoAmount`, deposit.cryptoAmount, toCryptoDecimal);
+  });
+
+  return Object.keys($set).length > 0 ? { filter, update: { $set } } : null;
+}
+
+async function migrateUsers() {
+  let converted = 0;
+  let changed = 0;
+
+  const cursor = User.collection.find({});
+  for await (const user of cursor) {
+    const plan = planUserUpdate(user);
+    if (!plan) continue;
+
+    if (dryRun) {
+      converted++;
+      continue;
+    }
+    const result = await User.collection.updateOne(plan.filter, plan.update);
+    if (result.modifiedCount === 1) {
+      converted++;
+    } else {
+      changed++;
+      console.warn(`  ⚠️ User ${user.username} (${user._id}) changed during migration; re-run to convert it.`);
+    }
+  }
+  return { converted, changed };
+}
+
+// Ledger entries are append-only through the model; this storage-only rewrite goes through
+// the driver and keeps the same amounts.
+async function migrateLedgerEntries() {
+  let converted = 0;
+  const unbalanced = [];
+
+  const cursor = LedgerEntry.collection.find({ 'postings.amount': { $type: 'number' } });
+  for await (const entry of cursor) {
+    const postings = entry.postings.map(posting => ({ ...posting, amount: money.normalize(posting.amount) }));
+    if (!money.isZero(money.sum(postings.map(posting => posting.amount)))) {
+      unbalanced.push(String(entry._id));
+      continue;
+    }
+
+    if (!dryRun) {
+      await LedgerEntry.collection.updateOne(
+        { _id: entry._id, postings: entry.postings },
+        { $set: { postings: postings.map(posting => ({ ...posting, amount: money.toDecimal128(posting.amount) })) } }
+      );
+    }
+    converted++;
+  }
+  return { converted, unbalanced };
+}
+
+async function migrateField(Model, field) {
+  let converted = 0;
+  const cursor = Model.collection.find({ [field]: { $type: 'number' } });
+  for await (const doc of cursor) {
+    if (!dryRun) {
+      await Model.collection.updateOne(
+        { _id: doc._id, [field]: doc[field] },
+        { $set: { [field]: money.toDecimal128(doc[field]) } }
+      );
+    }
+    converted++;
+  }
+  return converted;
+}
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`🔄 Migrating stored amounts to Decimal128${dryRun ? ' (dry run)' : ''}...`);
+
+    const users = await migrateUsers();
+    const ledger = await migrateLedgerEntries();
+    const payouts = await migrateField(RewardPayout, 'amount');
+    const capacities = await migrateField(PlanCapacity, 'staked');
+
+    const verb = dryRun ? 'would convert' : 'converted';
+    console.log(`✅ Money migration ${dryRun ? 'dry run ' : ''}complete. Users: ${verb} ${users.converted}${users.changed ? `, ${users.changed} changed mid-run` : ''}. Ledger entries: ${verb} ${ledger.converted}. Reward payouts: ${verb} ${payouts}. Plan capacity counters: ${verb} ${capacities}.`);
+    if (ledger.unbalanced.length > 0) {
+      console.warn(`⚠️ ${ledger.unbalanced.length} ledger entries would not balance after rounding and were left as Numbers: ${ledger.unbalanced.join(', ')}`);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌ Money migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,273 @@
+// money.js
+// Exact decimal arithmetic for credits. Amounts are carried as decimal strings (or anything
+// toUnits accepts: numbers, strings, Decimal128) and computed as BigInt multiples of
+// 10^-SCALE, so sums never drift. Every operation that can produce more digits than SCALE
+// rounds explicitly:
+//   - rewards and bonuses paid to users round DOWN (the platform never over-pays),
+//   - fees charged to users round UP (never under-charges),
+//   - currency conversions round HALF_EVEN (no bias either way), except deposits, which are
+//     credited in whole cents rounded DOWN.
+// Crypto amounts (18 decimals for ETH) are stored as given and never pass through SCALE;
+// convert() works on their exact value.
+const mongoose = require('mongoose');
+
+const SCALE = 8;
+// Digits Decimal128 stores exactly. Amounts are limited to this many digits including the
+// SCALE decimals.
+const MAX_DIGITS = 34;
+
+const ROUNDING = Object.freeze({
+  DOWN: 'down',
+  UP: 'up',
+  HALF_EVEN: 'half_even'
+});
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// numerator / denominator (denominator > 0), rounded to an integer. DOWN and UP round
+// towards and away from zero, so a negative fee rounds the same way as a positive one.
+function divideRounded(numerator, denominator, rounding) {
+  const negative = numerator < 0n;
+  const abs = negative ? -numerator : numerator;
+  let quotient = abs / denominator;
+  const remainder = abs % denominator;
+
+  if (remainder !== 0n) {
+    if (rounding === ROUNDING.UP) {
+      quotient += 1n;
+    } else if (rounding === ROUNDING.HALF_EVEN) {
+      const twice = remainder * 2n;
+      if (twice > denominator || (twice === denominator && quotient % 2n === 1n)) quotient += 1n;
+    } else if (rounding !== ROUNDING.DOWN) {
+      throw new Error(`Unknown rounding mode: ${rounding}`);
+    }
+  }
+  return negative ? -quotient : quotient;
+}
+
+// Exact value of a number, numeric string or Decimal128 as coefficient * 10^exponent.
+function parseExact(value) {
+  if (value === null || value === undefined || value === '') return { coefficient: 0n, exponent: 0 };
+  if (typeof value === 'bigint') throw new Error('Pass BigInt units through fromUnits() first.');
+  if (typeof value === 'number' && !Number.isFinite(value)) throw new Error(`Invalid amount: ${value}`);
+
+  const match = DECIMAL_PATTERN.exec(String(value).trim());
+  if (!match || (match[2] === '' && (match[3] === undefined || match[3] === ''))) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, intPart, fracPart = '', exp = '0'] = match;
+  const digits = BigInt((intPart || '0') + fracPart);
+  return { coefficient: sign === '-' ? -digits : digits, exponent: Number(exp) - fracPart.length };
+}
+
+// coefficient * 10^exponent as an integer number of 10^-decimals.
+function rescale({ coefficient, exponent }, decimals, rounding) {
+  const shift = exponent + decimals;
+  return shift >= 0
+    ? coefficient * 10n ** BigInt(shift)
+    : divideRounded(coefficient, 10n ** BigInt(-shift), rounding);
+}
+
+// Converts an amount to integer units of 10^-SCALE.
+function toUnits(value, rounding = ROUNDING.HALF_EVEN) {
+  return rescale(parseExact(value), SCALE, rounding);
+}
+
+// Canonical decimal string, without trailing zeros ('12.5', '-0.00000001', '0').
+function fromUnits(units, decimals = SCALE) {
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const unit = 10n ** BigInt(decimals);
+  const whole = abs / unit;
+  const fraction = decimals > 0 ? (abs % unit).toString().padStart(decimals, '0').replace(/0+$/, '') : '';
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+function normalize(value, rounding = ROUNDING.HALF_EVEN) {
+  return fromUnits(toUnits(value, rounding));
+}
+
+// Validates an amount from a request: a number or numeric string in plain notation, positive
+// (or zero with allowZero, negative with allowNegative), with no more than SCALE decimals and
+// small enough to store as Decimal128. Returns the normalized string or null.
+function parseAmount(value, { allowZero = false, allowNegative = false } = {}) {
+  if (typeof value !== 'number' && typeof value !== 'string') return null;
+  // Exponent notation ('1e400') could ask for any number of digits.
+  if (/e/i.test(String(value))) return null;
+  let units;
+  try {
+    units = toUnits(value, ROUNDING.DOWN);
+  } catch (err) {
+    return null;
+  }
+  if ((units < 0n && !allowNegative) || (units === 0n && !allowZero)) return null;
+  // Reject rather than silently round away digits the user asked for.
+  if (toUnits(value, ROUNDING.UP) !== units) return null;
+  if ((units < 0n ? -units : units).toString().length > MAX_DIGITS) return null;
+  return fromUnits(units);
+}
+
+function add(...values) {
+  return fromUnits(values.reduce((sum, value) => sum + toUnits(value), 0n));
+}
+
+function sub(a, b) {
+  return fromUnits(toUnits(a) - toUnits(b));
+}
+
+function negate(value) {
+  return fromUnits(-toUnits(value));
+}
+
+// a * b / c with a single rounding at the end.
+function mulDiv(a, b, c, rounding) {
+  const divisor = toUnits(c);
+  if (divisor === 0n) throw new Error('Division by zero');
+  const numerator = toUnits(a) * toUnits(b);
+  const sign = divisor < 0n ? -1n : 1n;
+  return fromUnits(divideRounded(numerator * sign, divisor * sign, rounding));
+}
+
+function mul(a, b, rounding) {
+  return mulDiv(a, b, 1, rounding);
+}
+
+function div(a, b, rounding) {
+  return mulDiv(a, 1, b, rounding);
+}
+
+function cmp(a, b) {
+  const diff = toUnits(a) - toUnits(b);
+  return diff === 0n ? 0 : diff > 0n ? 1 : -1;
+}
+
+function isZero(value) {
+  return toUnits(value) === 0n;
+}
+
+function min(a, b) {
+  return cmp(a, b) <= 0 ? normalize(a) : normalize(b);
+}
+
+function max(a, b) {
+  return cmp(a, b) >= 0 ? normalize(a) : normalize(b);
+}
+
+function sum(values) {
+  return add(...values);
+}
+
+// For API responses and logs only; never feed the result back into arithmetic.
+function toNumber(value) {
+  return Number(normalize(value));
+}
+
+// The exact value as a plain decimal string with all its decimals ('0.000000123456789012'),
+// for crypto amounts, which do not fit SCALE. Responses return these as strings.
+function toExactString(value) {
+  const { coefficient, exponent } = parseExact(value);
+  return exponent >= 0
+    ? fromUnits(coefficient * 10n ** BigInt(exponent), 0)
+    : fromUnits(coefficient, -exponent);
+}
+
+function toDecimal128(value) {
+  return mongoose.Types.Decimal128.fromString(normalize(value));
+}
+
+// --- Rounding rules -------------------------------------------------------------------
+
+// rewardPercent% of an amount, paid to the user.
+function rewardAmount(amount, rewardPercent) {
+  return mulDiv(amount, rewardPercent, 100, ROUNDING.DOWN);
+}
+
+// One day's share of a total reward.
+function dailyRewardAmount(totalReward, duration) {
+  return div(totalReward, duration, ROUNDING.DOWN);
+}
+
+// feePercent% of an amount, charged to the user.
+function feeAmount(amount, feePercent) {
+  return mulDiv(amount, feePercent, 100, ROUNDING.UP);
+}
+
+// Currency conversion at `rate` units of the target per unit of the source, computed on the
+// exact amount and rounded once to `decimals` places.
+function convert(amount, rate, { decimals = SCALE, rounding = ROUNDING.HALF_EVEN } = {}) {
+  const a = parseExact(amount);
+  const b = parseExact(rate);
+  const product = { coefficient: a.coefficient * b.coefficient, exponent: a.exponent + b.exponent };
+  return fromUnits(rescale(product, decimals, rounding), decimals);
+}
+
+// Credits for a deposit of `cryptoAmount` at `priceUsd`: whole cents, rounded down.
+function depositCredits(cryptoAmount, priceUsd) {
+  return convert(cryptoAmount, priceUsd, { decimals: 2, rounding: ROUNDING.DOWN });
+}
+
+// The inverse conversion: how much of the source `amount` of the target buys.
+function convertInverse(amount, rate) {
+  return div(amount, rate, ROUNDING.HALF_EVEN);
+}
+
+// --- API output -----------------------------------------------------------------------
+// Responses keep reporting amounts as JSON numbers. Convert at the edge, after all arithmetic.
+
+// Decimal128 values (in documents, subdocuments, lean results or plain objects) become numbers.
+function decimalsToNumbers(value) {
+  if (value instanceof mongoose.Types.Decimal128) return toNumber(value.toString());
+  if (value instanceof mongoose.Document) return decimalsToNumbers(value.toObject());
+  if (Array.isArray(value)) return value.map(decimalsToNumbers);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    for (const key of Object.keys(value)) value[key] = decimalsToNumbers(value[key]);
+  }
+  return value;
+}
+
+// toJSON transform for schemas with Decimal128 fields.
+function decimalJsonTransform(doc, ret) {
+  return decimalsToNumbers(ret);
+}
+
+// Copy of `object` with the named amount fields (decimal strings from the helpers above) as numbers.
+function amountsToNumbers(object, fields) {
+  const copy = { ...object };
+  for (const field of fields) {
+    if (copy[field] != null) copy[field] = toNumber(copy[field]);
+  }
+  return copy;
+}
+
+module.exports = {
+  SCALE,
+  ROUNDING,
+  toUnits,
+  fromUnits,
+  normalize,
+  parseAmount,
+  add,
+  sub,
+  negate,
+  mul,
+  div,
+  mulDiv,
+  cmp,
+  isZero,
+  min,
+  max,
+  sum,
+  toNumber,
+  toExactString,
+  toDecimal128,
+  rewardAmount,
+  dailyRewardAmount,
+  feeAmount,
+  convert,
+  convertInverse,
+  depositCredits,
+  decimalsToNumbers,
+  decimalJsonTransform,
+  amountsToNumbers,
+};
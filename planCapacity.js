@@ -0,0 +1,82 @@
+// planCapacity.js
+const mongoose = require('mongoose');
+const User = require('./user');
+const money = require('./money');
+
+// Running total of credits staked in each plan (across all versions), so the global plan cap
+// can be enforced with a single conditional $inc instead of summing every user's stakes.
+const planCapacitySchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  staked: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Amount a stake holds against its plan's capacity. Stakes from before capacity tracking
+// count with their amount.
+function reservedAmount(stake) {
+  return money.normalize(stake.capacityReserved != null ? stake.capacityReserved : stake.amount);
+}
+
+planCapacitySchema.statics.sumActiveStakes = async function (planId) {
+  const [result] = await User.aggregate([
+    { $match: { stakes: { $elemMatch: { planId, status: 'active' } } } },
+    { $unwind: '$stakes' },
+    { $match: { 'stakes.planId': planId, 'stakes.status': 'active' } },
+    { $group: { _id: null, total: { $sum: { $ifNull: ['$stakes.capacityReserved', '$stakes.amount'] } } } }
+  ]);
+  return result ? money.normalize(result.total) : '0';
+};
+
+// Creates the counter from the existing stakes the first time a plan is used.
+planCapacitySchema.statics.ensureCounter = async function (planId) {
+  if (await this.exists({ planId })) return;
+  const total = await this.sumActiveStakes(planId);
+  try {
+    await this.updateOne({ planId }, { $setOnInsert: { staked: total } }, { upsert: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+};
+
+// Atomically adds `amount` to the plan's total if it stays within `cap` (null = no cap).
+// Returns false when the plan is full. With a session, the reservation is part of that
+// transaction and is undone if it rolls back.
+planCapacitySchema.statics.reserve = async function (planId, amount, cap, { session } = {}) {
+  if (cap != null && money.cmp(amount, cap) > 0) return false;
+  await this.ensureCounter(planId);
+
+  const filter = { planId };
+  if (cap != null) filter.staked = { $lte: money.sub(cap, amount) };
+  const counter = await this.findOneAndUpdate(filter, { $inc: { staked: money.normalize(amount) } }, { new: true, session });
+  return !!counter;
+};
+
+planCapacitySchema.statics.release = function (planId, amount, { session } = {}) {
+  return this.updateOne({ planId }, { $inc: { staked: money.negate(amount) } }, { session });
+};
+
+// Credits staked per plan. Plans without a counter yet get one first, so stakes opened before
+// capacity tracking are counted.
+planCapacitySchema.statics.getStakedByPlan = async function (planIds) {
+  let counters = await this.find({ planId: { $in: planIds } }).lean();
+  const missing = planIds.filter(planId => !counters.some(counter => counter.planId === planId));
+  if (missing.length > 0) {
+    await Promise.all(missing.map(planId => this.ensureCounter(planId)));
+    counters = await this.find({ planId: { $in: planIds } }).lean();
+  }
+  return new Map(counters.map(counter => [counter.planId, money.normalize(counter.staked)]));
+};
+
+const PlanCapacity = mongoose.model('PlanCapacity', planCapacitySchema);
+
+module.exports = PlanCapacity;
+module.exports.reservedAmount = reservedAmount;
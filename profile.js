@@ -1,13 +1,24 @@
 // profile.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('./user');
+const crypto = require('crypto');
+const net = require('net');
 const authenticate = require('./authMiddleware');
+const requireTwoFactor = require('./twoFactorMiddleware');
+const ApiKey = require('./apiKey');
+const SecurityEvent = require('./securityEvent');
+const { hashToken } = require('./tokenUtils');
+const { getRequestContext } = require('./requestUtils');
+
+const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER || '10', 10);
+const MAX_API_KEY_LIFETIME_DAYS = parseInt(process.env.MAX_API_KEY_LIFETIME_DAYS || '365', 10);
 
 router.get('/profile', authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.userId)
-      .select('_id username email credits walletAddress kycStatus kycApproved referralCode referralEarnings createdAt lastLogin loginCount isActive');
+      .select('_id username email isEmailVerified credits walletAddress kycStatus kycApproved referralCode referralEarnings createdAt lastLogin loginCount isActive');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     res.json({
@@ -20,4 +31,102 @@ router.get('/profile', authenticate, async (req, res) => {
   }
 });
 
+router.get('/profile/api-keys', authenticate, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ userId: req.userId }).sort({ createdAt: -1 });
+
+    res.json({
+      message: '✅ API keys fetched successfully',
+      apiKeys: keys.map(key => key.toPublicJSON())
+    });
+  } catch (err) {
+    console.error('API key list error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error fetching API keys' });
+  }
+});
+
+router.post('/profile/api-keys', authenticate, requireTwoFactor, async (req, res) => {
+  const { name, scopes, ipAllowlist, expiresInDays } = req.body;
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return res.status(400).json({ error: 'A key name is required.' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => ApiKey.API_KEY_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `scopes must be a non-empty array of: ${ApiKey.API_KEY_SCOPES.join(', ')}` });
+  }
+  if (ipAllowlist !== undefined && (!Array.isArray(ipAllowlist) || !ipAllowlist.every(ip => net.isIP(String(ip))))) {
+    return res.status(400).json({ error: 'ipAllowlist must be an array of IP addresses.' });
+  }
+
+  const lifetimeDays = expiresInDays === undefined ? MAX_API_KEY_LIFETIME_DAYS : parseInt(expiresInDays, 10);
+  if (isNaN(lifetimeDays) || lifetimeDays <= 0 || lifetimeDays > MAX_API_KEY_LIFETIME_DAYS) {
+    return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_API_KEY_LIFETIME_DAYS}.` });
+  }
+
+  try {
+    const activeKeys = await ApiKey.countDocuments({
+      userId: req.userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeKeys >= MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_API_KEYS_PER_USER} active API keys.` });
+    }
+
+    const rawKey = `${ApiKey.API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = await ApiKey.create({
+      userId: req.userId,
+      name: name.trim(),
+      keyPrefix: rawKey.slice(0, ApiKey.API_KEY_PREFIX.length + 6),
+      keyHash: hashToken(rawKey),
+      scopes: [...new Set(scopes)],
+      ipAllowlist: (ipAllowlist || []).map(String),
+      expiresAt: new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000)
+    });
+
+    await SecurityEvent.record(req.userId, 'api_key_created', {
+      ...getRequestContext(req),
+      details: { apiKeyId: apiKey._id, name: apiKey.name, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({
+      message: '✅ API key created. Copy it now; it will not be shown again.',
+      apiKey: { ...apiKey.toPublicJSON(), key: rawKey }
+    });
+  } catch (err) {
+    console.error('API key create error for user', req.userId, ':', err);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Internal server error creating API key' });
+  }
+});
+
+router.delete('/profile/api-keys/:keyId', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.keyId)) {
+    return res.status(400).json({ error: 'Invalid API key id' });
+  }
+
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.keyId, userId: req.userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    await SecurityEvent.record(req.userId, 'api_key_revoked', {
+      ...getRequestContext(req),
+      details: { apiKeyId: apiKey._id, name: apiKey.name }
+    });
+
+    res.json({ message: '✅ API key revoked', apiKey: apiKey.toPublicJSON() });
+  } catch (err) {
+    console.error('API key revoke error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error revoking API key' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,100 @@
+// reconciliationReport.js
+const mongoose = require('mongoose');
+const { decimalJsonTransform } = require('./money');
+
+// The user's balances, then single deposit, withdrawal and stake records (a stake moves both
+// the available and the staked balance, so it is checked on each).
+const DISCREPANCY_KINDS = [
+  'available_balance',
+  'staked_balance',
+  'deposit_record',
+  'withdrawal_record',
+  'stake_record_available',
+  'stake_record_staked'
+];
+
+// A user whose stored balance, or one of whose records, disagreed with the ledger on two reads
+// a few seconds apart. `expected` is the ledger-derived figure, `actual` the one stored on the
+// user document. Record checks name the record in `recordId` (txHash, withdrawal or stake id).
+const discrepancySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: String,
+  recordId: String,
+  kind: {
+    type: String,
+    enum: DISCREPANCY_KINDS,
+    required: true
+  },
+  expected: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  actual: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  // actual - expected: positive means the user document holds more than the ledger explains.
+  difference: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedByUsername: String,
+  resolvedAt: Date,
+  resolutionNote: String
+});
+
+// One document per run of the nightly balance reconciliation job (see cronJobs.js).
+const reconciliationReportSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  finishedAt: Date,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  usersChecked: {
+    type: Number,
+    default: 0
+  },
+  discrepancyCount: {
+    type: Number,
+    default: 0
+  },
+  openCount: {
+    type: Number,
+    default: 0
+  },
+  // Only the first RECONCILIATION_MAX_DISCREPANCIES are stored; discrepancyCount has them all.
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  discrepancies: [discrepancySchema],
+  error: String
+}, {
+  timestamps: true,
+  toJSON: { transform: decimalJsonTransform }
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+reconciliationReportSchema.index({ 'discrepancies.userId': 1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+module.exports.DISCREPANCY_KINDS = DISCREPANCY_KINDS;
@@ -3,6 +3,9 @@ const express = require('express');
 const router = express.Router();
 const authenticate = require('./authMiddleware');
 const User = require('./user');
+const LedgerEntry = require('./ledgerEntry');
+const { accounts, move } = require('./ledgerEntry');
+const money = require('./money');
 const crypto = require('crypto');
 
 async function generateUniqueReferralCode() {
@@ -47,7 +50,7 @@ router.get('/referral/code', authenticate, async (req, res) => {
     res.json({
       message: '✅ Referral code retrieved successfully',
       referralCode: user.referralCode,
-      referralEarnings: user.referralEarnings || 0
+      referralEarnings: money.toNumber(user.referralEarnings || 0)
     });
   } catch (err) {
     console.error('Referral code endpoint error for user', req.userId, ':', err);
@@ -72,7 +75,7 @@ router.get('/referral/stats', authenticate, async (req, res) => {
       message: '✅ Referral stats fetched successfully',
       referralCode: user.referralCode,
       totalReferrals,
-      totalEarnings: user.referralEarnings || 0,
+      totalEarnings: money.toNumber(user.referralEarnings || 0),
       recentReferrals
     });
   } catch (err) {
@@ -81,73 +84,53 @@ router.get('/referral/stats', authenticate, async (req, res) => {
   }
 });
 
-async function processReferralReward(userId, stakeAmount) {
-  try {
-    const user = await User.findById(userId).select('_id username referredBy');
-    if (!user || !user.referredBy) {
-        return;
-    }
-
-    const referrer = await User.findById(user.referredBy).select('_id username credits referralEarnings creditsHistory');
-    if (!referrer) {
-        console.warn(`Referrer ${user.referredBy} not found for user ${userId}. Cannot process referral reward.`);
-        return;
-    }
-
-    const referralRate = parseFloat(process.env.REFERRAL_RATE || '0.1');
-    const rewardAmount = stakeAmount * referralRate;
-
-    if (rewardAmount <= 0) {
-       return;
-    }
+// Credits the referrer of `userId` a share of a completed stake and posts its ledger entry,
+// keyed on sourceStakeId. Runs in the stake completion transaction, so the bonus is paid
+// together with the returned principal or not at all, and a failure is retried with the
+// completion. Returns { referrer, referred, amount } when a bonus was paid, otherwise null.
+async function creditReferralReward(userId, stakeAmount, sourceStakeId, { session }) {
+  const user = await User.findById(userId).select('_id username referredBy').session(session);
+  if (!user || !user.referredBy) {
+      return null;
+  }
 
-    const historyLimit = parseInt(process.env.CREDITS_HISTORY_LIMIT || '1000', 10);
-    const newHistoryEntry = {
-       type: 'referral',
-       amount: rewardAmount,
-       reason: `Referral bonus from ${user.username}'s completed stake (Stake Amount: ${stakeAmount})`,
-       date: new Date()
-    };
-
-
-    const updateResult = await User.findByIdAndUpdate(
-        referrer._id,
-        {
-            $inc: {
-                credits: rewardAmount,
-                referralEarnings: rewardAmount
-            },
-            $push: {
-                creditsHistory: newHistoryEntry
-            }
-        },
-        { new: true, select: '_id username credits referralEarnings' }
-    );
-
-    if (!updateResult) {
-         console.error(`Failed to find and update referrer ${referrer._id} for reward.`);
-         await notifyAdminOfError('Referral Reward Failed: Referrer Not Found', null, `Attempted to give referral reward to user ID ${referrer._id} but document not found during update.`).catch(console.error);
-         return;
-    }
+  // Like staking rewards, referral bonuses round down.
+  const referralRate = process.env.REFERRAL_RATE || '0.1';
+  const rewardAmount = money.mul(stakeAmount, referralRate, money.ROUNDING.DOWN);
 
-    console.log(`💰 Referral reward: ${rewardAmount.toFixed(2)} credits added to ${updateResult.username} (${updateResult._id}) from user ${user.username} (${user._id})'s stake completion.`);
+  if (money.cmp(rewardAmount, 0) <= 0) {
+     return null;
+  }
 
-     const referrerAfterUpdate = await User.findById(referrer._id).select('creditsHistory');
-     if(referrerAfterUpdate && referrerAfterUpdate.creditsHistory.length > historyLimit) {
-        referrerAfterUpdate.creditsHistory = referrerAfterUpdate.creditsHistory.slice(-historyLimit);
-        await referrerAfterUpdate.save().catch(saveErr => {
-            console.error(`Error saving referrer history limit for ${referrer._id}:`, saveErr);
-        });
-     }
+  const referrer = await User.findByIdAndUpdate(
+      user.referredBy,
+      {
+          $inc: {
+              credits: rewardAmount,
+              referralEarnings: rewardAmount,
+              __v: 1
+          }
+      },
+      { new: true, select: '_id username', session }
+  );
+  if (!referrer) {
+      console.warn(`Referrer ${user.referredBy} not found for user ${userId}. Cannot process referral reward.`);
+      return null;
+  }
 
+  await LedgerEntry.post({
+     type: 'referral',
+     userId: referrer._id,
+     postings: move(accounts.rewardsExpense, accounts.user(referrer._id), rewardAmount),
+     source: { kind: 'stake', id: String(sourceStakeId) },
+     description: `Referral bonus from ${user.username}'s completed stake (Stake Amount: ${stakeAmount})`,
+     dedupeKey: `referral:${sourceStakeId}`
+  }, { session });
 
-  } catch (err) {
-    console.error(`❌ Referral reward processing error for user ${userId} (stake amount ${stakeAmount}):`, err);
-    await notifyAdminOfError('Referral Reward Processing Failed', err, `User: ${userId}, Stake Amount: ${stakeAmount}`).catch(console.error);
-  }
+  return { referrer, referred: user, amount: rewardAmount };
 }
 
 module.exports = {
   router,
-  processReferralReward
+  creditReferralReward
 };
\ No newline at end of file
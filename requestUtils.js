@@ -0,0 +1,18 @@
+// requestUtils.js
+
+function getClientIp(req) {
+   return req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress || '127.0.0.1';
+}
+
+function getRequestContext(req) {
+  return {
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    sessionId: req.sessionId
+  };
+}
+
+module.exports = {
+  getClientIp,
+  getRequestContext,
+};
@@ -0,0 +1,50 @@
+// rewardPayout.js
+const mongoose = require('mongoose');
+
+// One record per stake per reward day. The daily rewards job claims a day by inserting its
+// record (the unique index lets only one run win), then applies it to the user's stake and
+// marks it applied. A record left 'pending' by a crash is finished by the next run; 'void'
+// means the stake stopped being active before the day could be applied.
+const rewardPayoutSchema = new mongoose.Schema({
+  stakeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // UTC midnight at which the day's reward falls due.
+  rewardDate: {
+    type: Date,
+    required: true
+  },
+  dayNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  compounded: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'void'],
+    default: 'pending'
+  },
+  appliedAt: Date
+}, {
+  timestamps: true
+});
+
+rewardPayoutSchema.index({ stakeId: 1, rewardDate: 1 }, { unique: true });
+rewardPayoutSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('RewardPayout', rewardPayoutSchema);
@@ -0,0 +1,105 @@
+// security.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const authenticate = require('./authMiddleware');
+const Session = require('./session');
+const SecurityEvent = require('./securityEvent');
+const { getRequestContext } = require('./requestUtils');
+
+const ACTIVITY_PAGE_SIZE = 20;
+const ACTIVITY_MAX_PAGE_SIZE = 100;
+
+router.get('/security/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('_id ip userAgent createdAt lastSeenAt lastSeenIp expiresAt')
+      .sort({ lastSeenAt: -1, createdAt: -1 });
+
+    res.json({
+      message: '✅ Active sessions fetched successfully',
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent || null,
+        ip: session.lastSeenIp || session.ip || null,
+        firstSeen: session.createdAt,
+        lastSeen: session.lastSeenAt || session.createdAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (err) {
+    console.error('Session list error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error fetching sessions' });
+  }
+});
+
+router.delete('/security/sessions/:sessionId', authenticate, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session id' });
+  }
+
+  try {
+    const session = await Session.findActiveSession(sessionId, req.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Active session not found' });
+    }
+
+    await Session.revokeSession(session._id, 'logout');
+    await SecurityEvent.record(req.userId, 'session_revoked', {
+      ...getRequestContext(req),
+      details: { revokedSessionId: session._id, revokedSessionUserAgent: session.userAgent }
+    });
+
+    res.json({
+      message: '✅ Session revoked',
+      sessionId: session._id,
+      current: String(session._id) === String(req.sessionId)
+    });
+  } catch (err) {
+    console.error('Session revoke error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error revoking session' });
+  }
+});
+
+router.get('/security/activity', authenticate, async (req, res) => {
+  const page = req.query.page !== undefined ? parseInt(req.query.page, 10) : 1;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : ACTIVITY_PAGE_SIZE;
+  if (isNaN(page) || page < 1) {
+    return res.status(400).json({ error: 'page must be a positive integer.' });
+  }
+  if (isNaN(limit) || limit < 1 || limit > ACTIVITY_MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${ACTIVITY_MAX_PAGE_SIZE}.` });
+  }
+  const skip = (page - 1) * limit;
+
+  try {
+    const filter = { userId: req.userId };
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .select('type ip userAgent details createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      SecurityEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: '✅ Security activity fetched successfully',
+      events,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Security activity error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error fetching security activity' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// securityEvent.js
+const mongoose = require('mongoose');
+
+const SECURITY_EVENT_TYPES = [
+  'registration',
+  'login',
+  'new_ip_login',
+  'logout',
+  'logout_all',
+  'session_revoked',
+  'password_reset',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'withdrawal_request',
+  'transfer_sent',
+  'api_key_created',
+  'api_key_revoked'
+];
+
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ userId: 1, ip: 1 });
+
+// Feed entries are best-effort: a failure to record one must never break the action itself.
+securityEventSchema.statics.record = async function (userId, type, { ip, userAgent, sessionId, details } = {}) {
+  try {
+    await this.create({ userId, type, ip, userAgent, sessionId, details });
+  } catch (err) {
+    console.error(`Failed to record security event ${type} for user ${userId}:`, err.message);
+  }
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -13,6 +13,26 @@ const User = require('./user');
 const { generateEthereumWallet } = require('./ethereumWalletUtils');
 const { initializeCronJobs } = require('./cronJobs');
 const { initializeDepositListener, shutdownDepositListener } = require('./depositListener');
+const { generateToken, hashToken } = require('./tokenUtils');
+const { sendVerificationEmail, sendPasswordResetEmail, sendNewLoginAlertEmail } = require('./mailer');
+const { getClientIp, getRequestContext } = require('./requestUtils');
+const SecurityEvent = require('./securityEvent');
+const { router: twoFactorRoutes, verifyUserTwoFactor } = require('./twoFactor');
+const jwt = require('jsonwebtoken');
+const Session = require('./session');
+const StakingPlan = require('./stakingPlan');
+const PlanCapacity = require('./planCapacity');
+const RewardPayout = require('./rewardPayout');
+const LedgerEntry = require('./ledgerEntry');
+const ReconciliationReport = require('./reconciliationReport');
+const CreditTransfer = require('./creditTransfer');
+const TransferUsage = require('./transferUsage');
+const IdempotencyKey = require('./idempotencyKey');
+const ChainCursor = require('./chainCursor');
+const { createSession, rotateRefreshToken } = require('./authTokens');
+const { checkTransactionSupport } = require('./transactions');
+const bcrypt = require('bcrypt');
+const { checkLoginLock, recordLoginFailure, clearLoginFailures } = require('./loginThrottle');
 
 
 const app = express();
@@ -34,12 +54,31 @@ const registerLimiter = rateLimit({
   message: 'Too many registration attempts from this IP, please try again later.'
 });
 
+const verificationResendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many verification email requests from this IP, please try again later.'
+});
+
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests from this IP, please try again later.'
+});
+
+const twoFactorLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many two-factor attempts from this IP, please try again later.'
+});
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+const EMAIL_VERIFICATION_TTL_MS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || '60', 10) * 1000;
+
 
 app.use(express.json({ limit: '1mb' }));
 
-function getClientIp(req) {
-   return req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress || '127.0.0.1';
-}
 // app.set('trust proxy', 1);
 
 function validatePassword(password) {
@@ -75,10 +114,29 @@ mongoose.connection.on('error', (err) => console.error('Mongoose default connect
 async function ensureIndexes() {
     try {
         await User.ensureIndexes();
+        await Session.ensureIndexes();
+        await StakingPlan.ensureIndexes();
+        await PlanCapacity.ensureIndexes();
+        await RewardPayout.ensureIndexes();
+        await LedgerEntry.ensureIndexes();
+        await ReconciliationReport.ensureIndexes();
+        await CreditTransfer.ensureIndexes();
+        await TransferUsage.ensureIndexes();
+        await IdempotencyKey.ensureIndexes();
+        await ChainCursor.ensureIndexes();
         console.log('✅ MongoDB indexes ensured.');
     } catch (err) {
         console.error('❌ Failed to ensure MongoDB indexes:', err);
     }
+
+    await checkTransactionSupport().catch(err =>
+        console.error('❌ Failed to check MongoDB transaction support:', err));
+
+    try {
+        await StakingPlan.seedDefaults();
+    } catch (err) {
+        console.error('❌ Failed to seed default staking plans:', err);
+    }
 }
 mongoose.connection.once('open', ensureIndexes);
 
@@ -129,6 +187,8 @@ app.post('/register', registerLimiter, async (req, res) => {
         return res.status(500).json({ error: 'Failed to create wallet during registration. Please try again.' });
     }
 
+    const verification = generateToken();
+
     const user = new User({
       username: cleanUsername,
       email: cleanEmail,
@@ -142,9 +202,12 @@ app.post('/register', registerLimiter, async (req, res) => {
       kycStatus: 'not_submitted',
       isAdmin: false,
       isActive: true,
+      isEmailVerified: false,
+      emailVerificationToken: verification.hash,
+      emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS),
+      emailVerificationSentAt: new Date(),
       loginCount: 0,
       ipHistory: [],
-      creditsHistory: [],
       deposits: [],
       stakes: [],
       withdrawals: [],
@@ -155,8 +218,16 @@ app.post('/register', registerLimiter, async (req, res) => {
 
     await user.save();
 
+    await SecurityEvent.record(user._id, 'registration', { ip: clientIp, userAgent: req.headers['user-agent'] });
+
+    try {
+      await sendVerificationEmail(user, verification.token);
+    } catch (mailErr) {
+      console.error(`❌ Failed to send verification email to user ${user._id}:`, mailErr.message);
+    }
+
     res.status(201).json({
-      message: '✅ Account created successfully!',
+      message: '✅ Account created successfully! Please check your email to verify your address.',
       user: { id: user._id, username: user.username, email: user.email }
     });
   } catch (error) {
@@ -172,6 +243,143 @@ app.post('/register', registerLimiter, async (req, res) => {
   }
 });
 
+app.post('/verify-email', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'Verification token is required' });
+  }
+
+  try {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(token.trim()),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true, select: '_id username email isEmailVerified' }
+    );
+
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    res.json({
+      message: '✅ Email verified successfully',
+      user: { id: user._id, username: user.username, email: user.email, isEmailVerified: user.isEmailVerified }
+    });
+  } catch (error) {
+    console.error('❌ Email verification error:', error);
+    res.status(500).json({ error: 'Internal server error during email verification' });
+  }
+});
+
+app.post('/resend-verification', verificationResendLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  // Same response whether or not the address is registered, so this cannot be used to probe accounts.
+  const genericResponse = { message: '✅ If an unverified account exists for this email, a new verification link has been sent.' };
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('_id username email isEmailVerified emailVerificationSentAt');
+
+    if (!user || user.isEmailVerified) {
+      return res.json(genericResponse);
+    }
+
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) {
+      return res.json(genericResponse);
+    }
+
+    const verification = generateToken();
+    user.emailVerificationToken = verification.hash;
+    user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+
+    try {
+      await sendVerificationEmail(user, verification.token);
+    } catch (mailErr) {
+      console.error(`❌ Failed to resend verification email to user ${user._id}:`, mailErr.message);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('❌ Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error while resending verification email' });
+  }
+});
+
+const LOGIN_SELECT_FIELDS = '+password lastLogin lastLoginIp loginCount ipHistory registrationIp isActive isAdmin isEmailVerified twoFactorEnabled username email';
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const LOCKED_OUT_MESSAGE = 'Too many failed login attempts. Please try again later.';
+// Compared against when the account does not exist, so response timing matches a wrong password.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+function sendLockedOut(res, retryAfterSeconds) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ error: LOCKED_OUT_MESSAGE, retryAfterSeconds });
+}
+
+// Final step shared by password-only logins and logins that passed the 2FA challenge.
+async function completeLogin(user, req, res) {
+  const clientIp = getClientIp(req);
+  const userAgent = req.headers['user-agent'];
+
+  // ipHistory is capped, so also consult the security feed before deciding an IP is new.
+  const isKnownIp = user.registrationIp === clientIp
+    || user.ipHistory.some(entry => entry.ip === clientIp)
+    || await SecurityEvent.exists({ userId: user._id, ip: clientIp, type: 'login' });
+
+  user.lastLogin = new Date();
+  user.lastLoginIp = clientIp;
+  user.loginCount = (user.loginCount || 0) + 1;
+  user.addIpToHistory(clientIp, 'login');
+
+  const ipHistoryLimit = parseInt(process.env.IP_HISTORY_LIMIT || '50', 10);
+  if (user.ipHistory.length > ipHistoryLimit) {
+      user.ipHistory.sort((a, b) => a.timestamp - b.timestamp);
+      user.ipHistory = user.ipHistory.slice(-ipHistoryLimit);
+  }
+
+  await user.save();
+
+  const { session, accessToken, refreshToken, accessTokenExpiresIn } = await createSession(user, {
+    ip: clientIp,
+    userAgent
+  });
+
+  await SecurityEvent.record(user._id, 'login', { ip: clientIp, userAgent, sessionId: session._id });
+
+  if (!isKnownIp) {
+    await SecurityEvent.record(user._id, 'new_ip_login', { ip: clientIp, userAgent, sessionId: session._id });
+    sendNewLoginAlertEmail(user, { ip: clientIp, userAgent, time: user.lastLogin }).catch(mailErr => {
+      console.error(`❌ Failed to send new-IP login alert to user ${user._id}:`, mailErr.message);
+    });
+  }
+
+  res.json({
+    message: '✅ Login successful',
+    token: accessToken,
+    refreshToken,
+    accessTokenExpiresIn,
+    user: {
+      id: user._id,
+      username: user.username,
+      isAdmin: user.isAdmin,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactorEnabled
+    }
+  });
+}
+
 app.post('/login', async (req, res) => {
   const { identifier, password } = req.body;
   const clientIp = getClientIp(req);
@@ -181,69 +389,266 @@ app.post('/login', async (req, res) => {
   }
   const cleanIdentifier = identifier.trim();
 
+  if (!process.env.JWT_SECRET) {
+      console.error('❌ FATAL: JWT_SECRET is not set in .env');
+      return res.status(500).json({ error: 'Server configuration error: JWT secret not set.' });
+  }
+
   try {
-    const user = await User.findByEmailOrUsername(cleanIdentifier).select('+password lastLogin lastLoginIp loginCount ipHistory isActive isAdmin username');
+    const user = await User.findByEmailOrUsername(cleanIdentifier).select(LOGIN_SELECT_FIELDS);
+    const account = user ? { userId: user._id } : { identifier: cleanIdentifier };
 
-    if (!user || !(await user.comparePassword(password))) {
+    const lock = await checkLoginLock(account, clientIp);
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfterSeconds);
+    }
+
+    const passwordMatches = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+    if (!user || !passwordMatches) {
       console.warn(`Failed login attempt for identifier: ${cleanIdentifier} from IP: ${clientIp}`);
+      await recordLoginFailure(account, clientIp);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    await clearLoginFailures(account);
+
     if (!user.isActive) {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
-    user.lastLogin = new Date();
-    user.lastLoginIp = clientIp;
-    user.loginCount = (user.loginCount || 0) + 1;
-    user.addIpToHistory(clientIp, 'login');
+    if (user.twoFactorEnabled) {
+      const twoFactorToken = jwt.sign({ userId: user._id, purpose: '2fa_login' }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        twoFactorToken
+      });
+    }
 
-    const ipHistoryLimit = parseInt(process.env.IP_HISTORY_LIMIT || '50', 10);
-    if (user.ipHistory.length > ipHistoryLimit) {
-        user.ipHistory.sort((a, b) => a.timestamp - b.timestamp);
-        user.ipHistory = user.ipHistory.slice(-ipHistoryLimit);
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ error: 'Internal server error during login' });
+  }
+});
+
+app.post('/login/2fa', twoFactorLoginLimiter, async (req, res) => {
+  const { twoFactorToken, code } = req.body;
+  const clientIp = getClientIp(req);
+
+  if (!twoFactorToken || !code) {
+    return res.status(400).json({ error: 'Two-factor token and authentication code are required' });
+  }
+
+  if (!process.env.JWT_SECRET) {
+      console.error('❌ FATAL: JWT_SECRET is not set in .env');
+      return res.status(500).json({ error: 'Server configuration error: JWT secret not set.' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Two-factor session expired. Please log in again.' });
+  }
+  if (decoded.purpose !== '2fa_login') {
+    return res.status(401).json({ error: 'Invalid two-factor token' });
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select(LOGIN_SELECT_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const lock = await checkLoginLock({ userId: user._id }, clientIp);
+    if (lock.locked) {
+      return sendLockedOut(res, lock.retryAfterSeconds);
+    }
+
+    if (!(await verifyUserTwoFactor(user._id, String(code)))) {
+      console.warn(`Failed 2FA login attempt for user: ${user._id} from IP: ${clientIp}`);
+      await recordLoginFailure({ userId: user._id }, clientIp);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await clearLoginFailures({ userId: user._id });
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('❌ 2FA login error:', error);
+    res.status(500).json({ error: 'Internal server error during login' });
+  }
+});
+
+app.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  const { identifier } = req.body;
+
+  if (!identifier || typeof identifier !== 'string') {
+    return res.status(400).json({ error: 'Email or username is required' });
+  }
+
+  // Same response whether or not the account exists, so this cannot be used to probe accounts.
+  const genericResponse = { message: '✅ If an account exists for this email or username, a password reset link has been sent.' };
+
+  try {
+    const user = await User.findByEmailOrUsername(identifier.trim()).select('_id username email isActive');
+
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // Issuing a new token replaces any earlier one, so only the latest link works.
+    const reset = generateToken();
+    user.passwordResetToken = reset.hash;
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, reset.token, PASSWORD_RESET_TTL_MINUTES);
+    } catch (mailErr) {
+      console.error(`❌ Failed to send password reset email to user ${user._id}:`, mailErr.message);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error while requesting password reset' });
+  }
+});
+
+app.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  const { token, password } = req.body;
+  const clientIp = getClientIp(req);
+
+  if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Reset token and new password are required' });
+  }
+
+  const passwordValidation = validatePassword(password);
+  if (!passwordValidation.valid) {
+    return res.status(400).json({ error: passwordValidation.message });
+  }
+
+  try {
+    // Consume the token atomically so it can only ever be used once.
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token.trim()),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true, select: '_id username ipHistory isActive' }
+    );
+
+    if (!user) {
+      return res.status(400).json({ error: 'Password reset link is invalid or has expired' });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    user.addIpToHistory(clientIp, 'password_reset');
     await user.save();
 
-    const jwt = require('jsonwebtoken');
-    if (!process.env.JWT_SECRET) {
-        console.error('❌ FATAL: JWT_SECRET is not set in .env');
-        return res.status(500).json({ error: 'Server configuration error: JWT secret not set.' });
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await SecurityEvent.record(user._id, 'password_reset', { ip: clientIp, userAgent: req.headers['user-agent'] });
+
+    console.log(`🔑 Password reset for user ${user.username} (${user._id}) from IP: ${clientIp}`);
+
+    res.json({ message: '✅ Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error during password reset' });
+  }
+});
+
+app.post('/token/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  if (!process.env.JWT_SECRET) {
+      console.error('❌ FATAL: JWT_SECRET is not set in .env');
+      return res.status(500).json({ error: 'Server configuration error: JWT secret not set.' });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (!result.ok) {
+      const error = result.reason === 'reuse'
+        ? 'Refresh token has already been used. The session has been signed out for your security.'
+        : 'Invalid or expired refresh token';
+      return res.status(401).json({ error });
     }
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
 
     res.json({
-      message: '✅ Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        isAdmin: user.isAdmin
-      }
+      message: '✅ Token refreshed',
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      accessTokenExpiresIn: result.accessTokenExpiresIn
     });
   } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({ error: 'Internal server error during login' });
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error during token refresh' });
   }
 });
 
 const profileRoutes = require('./profile');
 const stakingRoutes = require('./staking');
 const withdrawalRoutes = require('./withdrawal');
+const transferRoutes = require('./transfer');
+const depositRoutes = require('./deposit');
 const { router: referralRoutes } = require('./referral');
 const historyRoutes = require('./history.js');
 const kycRoutes = require('./kyc.js');
 const adminRoutes = require('./admin.js');
+const securityRoutes = require('./security');
 
 app.use('/api', require('./authMiddleware'));
 
+app.post('/api/logout', async (req, res) => {
+  try {
+    await Session.revokeSession(req.sessionId, 'logout');
+    await SecurityEvent.record(req.userId, 'logout', getRequestContext(req));
+    res.json({ message: '✅ Logged out' });
+  } catch (error) {
+    console.error('❌ Logout error for user', req.userId, ':', error);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
+app.post('/api/logout-all', async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.userId, 'logout_all');
+    await SecurityEvent.record(req.userId, 'logout_all', { ...getRequestContext(req), details: { sessionsRevoked: result.modifiedCount } });
+    res.json({ message: '✅ Logged out of all sessions', sessionsRevoked: result.modifiedCount });
+  } catch (error) {
+    console.error('❌ Logout-all error for user', req.userId, ':', error);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
 app.use('/api', profileRoutes);
 app.use('/api', stakingRoutes);
 app.use('/api', withdrawalRoutes);
+app.use('/api', transferRoutes);
+app.use('/api', depositRoutes);
 app.use('/api', referralRoutes);
 app.use('/api', historyRoutes);
 app.use('/api', kycRoutes);
+app.use('/api', twoFactorRoutes);
+app.use('/api', securityRoutes);
 
 app.use('/api/admin', adminRoutes);
 
@@ -0,0 +1,67 @@
+// session.js
+const mongoose = require('mongoose');
+
+// One document per login. The refresh token rotates on every use; only the hash of the
+// current token is kept, so presenting an older token is treated as theft (reuse).
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastRefreshedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_reset', 'refresh_token_reuse', 'account_deactivated']
+  },
+  ip: String,
+  userAgent: String,
+  lastSeenAt: Date,
+  lastSeenIp: String
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB automatically.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.statics.findActiveSession = function (sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return Promise.resolve(null);
+  return this.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+sessionSchema.statics.revokeSession = function (sessionId, reason) {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+sessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,313 @@
+// stakeUtils.js
+// Stake calculations shared by the staking routes and the reward cron job. Money fields come
+// in as numbers, strings or Decimal128 and go out as decimal strings (see money.js).
+const money = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What happens to a stake when its term ends.
+const STAKE_COMPLETION_ACTIONS = ['return', 'renew_principal', 'renew_with_rewards'];
+
+function startOfUtcDay(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+// A stake's daily reward. Both the total and the daily share round down; whatever the daily
+// rounding leaves over is paid on the last day (see accrueStakeRewards).
+function dailyRewardFor(amount, rewardPercent, duration) {
+  return money.dailyRewardAmount(money.rewardAmount(amount, rewardPercent), duration);
+}
+
+// A new stake under the given plan version, ready to push onto user.stakes.
+function buildStake(plan, amount, { startDate = new Date(), onCompletion = 'return', compoundRewards = false, renewedFromStakeId } = {}) {
+  return {
+    planId: plan.planId,
+    planVersion: plan.version,
+    planName: plan.name,
+    rewardPercent: plan.rewardPercent,
+    amount: money.normalize(amount),
+    reward: money.rewardAmount(amount, plan.rewardPercent),
+    duration: plan.duration,
+    dailyReward: dailyRewardFor(amount, plan.rewardPercent, plan.duration),
+    daysPaid: 0,
+    rewardsPaid: '0',
+    lastRewardDate: startDate,
+    startDate,
+    endDate: new Date(startDate.getTime() + plan.duration * DAY_MS),
+    earlyUnstake: plan.earlyUnstake,
+    onCompletion,
+    compoundRewards,
+    renewedFromStakeId,
+    status: 'active'
+  };
+}
+
+// The user's active stakes in a plan, as counted by the per-user plan limits.
+function getPlanUsage(stakes, planId) {
+  const active = (stakes || []).filter(stake => stake.planId === planId && stake.status === 'active');
+  return {
+    activeCount: active.length,
+    activeAmount: money.sum(active.map(stake => stake.amount))
+  };
+}
+
+// Returns a message if adding `amount` as one more stake would break the plan's per-user limits.
+function checkPlanLimits(plan, usage, amount) {
+  if (plan.maxConcurrentStakes != null && usage.activeCount + 1 > plan.maxConcurrentStakes) {
+    return `You can have at most ${plan.maxConcurrentStakes} active stakes in this plan.`;
+  }
+  if (plan.maxStakePerUser != null && money.cmp(money.add(usage.activeAmount, amount), plan.maxStakePerUser) > 0) {
+    return `This plan allows at most ${plan.maxStakePerUser} credits staked per user. Remaining: ${money.max(0, money.sub(plan.maxStakePerUser, usage.activeAmount))}`;
+  }
+  return null;
+}
+
+// The same per-user limits as a query $expr, so the update that adds a stake can re-check
+// them atomically against the stored document.
+function planLimitsExpression(plan, amount) {
+  const activeInPlan = {
+    $filter: {
+      input: { $ifNull: ['$stakes', []] },
+      cond: { $and: [{ $eq: ['$$this.planId', plan.planId] }, { $eq: ['$$this.status', 'active'] }] }
+    }
+  };
+  const conditions = [true];
+  if (plan.maxConcurrentStakes != null) {
+    conditions.push({ $lt: [{ $size: activeInPlan }, plan.maxConcurrentStakes] });
+  }
+  if (plan.maxStakePerUser != null) {
+    // $expr is not cast by mongoose, so amounts are compared as Decimal128 explicitly.
+    conditions.push({
+      $lte: [
+        { $add: [{ $sum: { $map: { input: activeInPlan, in: '$$this.amount' } } }, money.toDecimal128(amount)] },
+        money.toDecimal128(plan.maxStakePerUser)
+      ]
+    });
+  }
+  return { $and: conditions };
+}
+
+// Stakes opened before rewardsPaid was tracked had a fixed daily reward.
+function getRewardsPaid(stake) {
+  return stake.rewardsPaid != null
+    ? money.normalize(stake.rewardsPaid)
+    : money.mul(stake.dailyReward, stake.daysPaid, money.ROUNDING.DOWN);
+}
+
+// A compounding stake's daily reward after its amount grew. Stakes from before rewardPercent
+// was snapshotted keep their original daily rate.
+function rescaleDailyReward(stake, previousAmount) {
+  if (stake.rewardPercent != null) return dailyRewardFor(stake.amount, stake.rewardPercent, stake.duration);
+  if (money.isZero(previousAmount)) return '0';
+  return money.mulDiv(stake.dailyReward, stake.amount, previousAmount, money.ROUNDING.DOWN);
+}
+
+// Pays `days` daily rewards on a stake document. Compounding stakes add each day's reward
+// to their amount, so the next day's reward is earned on the larger amount. The last day
+// pays whatever is left of the stake's reward, so rounding the daily share down never
+// shorts the total. Returns how much goes to the user's balance and how much was compounded.
+function accrueStakeRewards(stake, days) {
+  let rewardsPaid = getRewardsPaid(stake);
+  let credited = '0';
+  let compounded = '0';
+
+  for (let day = 0; day < days; day++) {
+    const isLastDay = stake.daysPaid + 1 >= stake.duration;
+    const reward = isLastDay ? money.max(0, money.sub(stake.reward, rewardsPaid)) : money.normalize(stake.dailyReward);
+    rewardsPaid = money.add(rewardsPaid, reward);
+    stake.daysPaid += 1;
+
+    if (stake.compoundRewards) {
+      const previousAmount = stake.amount;
+      stake.amount = money.add(stake.amount, reward);
+      stake.dailyReward = rescaleDailyReward(stake, previousAmount);
+      stake.reward = money.add(rewardsPaid, money.mul(stake.dailyReward, stake.duration - stake.daysPaid, money.ROUNDING.DOWN));
+      compounded = money.add(compounded, reward);
+    } else {
+      credited = money.add(credited, reward);
+    }
+  }
+
+  stake.rewardsPaid = rewardsPaid;
+  if (!money.isZero(compounded)) {
+    stake.compoundedRewards = money.add(stake.compoundedRewards || 0, compounded);
+  }
+
+  return { credited, compounded };
+}
+
+// Live figures for an active stake between reward runs. The daily job pays one day per UTC
+// midnight passed since the last reward day, so rewards accrue linearly from the start of
+// that day and the next payout is the coming UTC midnight.
+function describeStakeProgress(stake, now = new Date()) {
+  const remainingDays = Math.max(0, stake.duration - stake.daysPaid);
+  const lastRewardDay = startOfUtcDay(stake.lastRewardDate || stake.startDate);
+  const daysAccrued = Math.min(remainingDays, Math.max(0, (now - lastRewardDay) / DAY_MS));
+
+  const start = new Date(stake.startDate).getTime();
+  const end = new Date(stake.endDate).getTime();
+  const progressPercent = end > start ? Math.min(100, Math.max(0, ((now - start) / (end - start)) * 100)) : 100;
+
+  // Run the remaining days on a copy to get compounding right.
+  const projection = { ...stake };
+  accrueStakeRewards(projection, remainingDays);
+  const rewardsPaid = getRewardsPaid(stake);
+
+  return {
+    accruedUnpaidRewards: money.mul(stake.dailyReward, daysAccrued.toFixed(money.SCALE), money.ROUNDING.DOWN),
+    nextPayoutAt: remainingDays > 0 ? new Date(startOfUtcDay(now).getTime() + DAY_MS) : null,
+    progressPercent,
+    earnedToDate: rewardsPaid,
+    expectedRemainingRewards: money.sub(projection.rewardsPaid, rewardsPaid),
+    // Amount returned at completion plus every reward that went to the balance.
+    projectedFinalValue: money.sub(money.add(projection.amount, projection.rewardsPaid), projection.compoundedRewards || 0)
+  };
+}
+
+// Decides whether a completed stake can renew into `plan` and for how much. `balance` is the
+// user's balance after the completed stake's amount was returned to it.
+function planRenewal(stake, plan, balance) {
+  if (!plan) return { skippedReason: 'Plan is no longer offered' };
+
+  let amount = money.normalize(stake.amount);
+  if (stake.onCompletion === 'renew_with_rewards') {
+    // Rewards paid to the balance during the term; compounded rewards are already in stake.amount.
+    const rewardsToBalance = money.sub(getRewardsPaid(stake), stake.compoundedRewards || 0);
+    amount = money.add(amount, money.max(0, money.min(rewardsToBalance, money.sub(balance, stake.amount))));
+  }
+
+  if (money.cmp(amount, plan.minCredits) < 0) {
+    return { skippedReason: `Amount ${amount} is below the plan minimum of ${plan.minCredits}` };
+  }
+  return { amount };
+}
+
+// Replays the daily rewards job day by day over plain stake objects (copies are taken), using
+// the same accrual, completion and renewal rules. `plans` maps planId to the active plan used
+// for renewals. Returns the projected stakes (each with a per-payout schedule) and a daily
+// balance timeline.
+function projectStakes({ balance = 0, stakes, plans, from = new Date(), days }) {
+  balance = money.normalize(balance);
+  const today = startOfUtcDay(from);
+  const projected = stakes.map((stake, index) => ({
+    ...stake,
+    key: stake.key || `stake-${index + 1}`,
+    schedule: []
+  }));
+  const timeline = [];
+
+  for (let day = 1; day <= days; day++) {
+    const date = new Date(today.getTime() + day * DAY_MS);
+
+    for (const stake of projected.filter(s => s.status === 'active')) {
+      const lastRewardDay = startOfUtcDay(stake.lastRewardDate);
+      const daysDue = Math.floor((date - lastRewardDay) / DAY_MS);
+      const daysToPay = Math.min(daysDue, stake.duration - stake.daysPaid);
+      if (daysToPay <= 0) continue;
+
+      const { credited, compounded } = accrueStakeRewards(stake, daysToPay);
+      balance = money.add(balance, credited);
+      stake.lastRewardDate = new Date(lastRewardDay.getTime() + daysToPay * DAY_MS);
+      stake.schedule.push({
+        date,
+        days: daysToPay,
+        reward: money.add(credited, compounded),
+        compounded,
+        stakeAmount: stake.amount,
+        rewardsPaid: stake.rewardsPaid
+      });
+
+      if (stake.daysPaid < stake.duration) continue;
+
+      stake.status = 'completed';
+      stake.completedAt = date;
+      balance = money.add(balance, stake.amount);
+
+      if (stake.onCompletion && stake.onCompletion !== 'return') {
+        const { amount, skippedReason } = planRenewal(stake, plans.get(stake.planId), balance);
+        if (skippedReason) {
+          stake.renewalSkippedReason = skippedReason;
+          continue;
+        }
+        balance = money.sub(balance, amount);
+        const renewal = {
+          ...buildStake(plans.get(stake.planId), amount, {
+            startDate: date,
+            onCompletion: stake.onCompletion,
+            compoundRewards: stake.compoundRewards,
+            renewedFromStakeId: stake._id
+          }),
+          key: `${stake.key}-renewal`,
+          renewedFromKey: stake.key,
+          schedule: []
+        };
+        stake.renewedToKey = renewal.key;
+        projected.push(renewal);
+      }
+    }
+
+    const staked = money.sum(projected.filter(s => s.status === 'active').map(s => s.amount));
+    timeline.push({ date, balance, staked, totalValue: money.add(balance, staked) });
+  }
+
+  return { stakes: projected, timeline, balance };
+}
+
+// The fee tier in force is the one with the highest minDaysStaked not above daysStaked.
+function selectFeeTier(feeSchedule, daysStaked) {
+  return (feeSchedule || [])
+    .filter(tier => tier.minDaysStaked <= daysStaked)
+    .sort((a, b) => b.minDaysStaked - a.minDaysStaked)[0] || null;
+}
+
+// What an early exit would pay right now under the given earlyUnstake terms:
+//   payout = principal - feePercent% of principal - (paid rewards, if the plan claws them back)
+// Rewards not yet paid are always forfeited. The fee rounds up.
+function quoteEarlyUnstake(stake, terms, now = new Date()) {
+  const principal = money.normalize(stake.amount);
+  const daysStaked = Math.max(0, Math.floor((now - new Date(stake.startDate)) / DAY_MS));
+  const rewardsPaid = getRewardsPaid(stake);
+  const unpaidRewardsForfeited = money.max(0, money.sub(stake.reward, rewardsPaid));
+
+  const tier = selectFeeTier(terms.feeSchedule, daysStaked);
+  const feePercent = tier ? tier.feePercent : 0;
+  const fee = money.feeAmount(principal, feePercent);
+  const rewardsClawedBack = terms.forfeitPaidRewards ? rewardsPaid : '0';
+
+  const payout = money.max(0, money.sub(money.sub(principal, fee), rewardsClawedBack));
+
+  return {
+    stakeId: stake._id,
+    planId: stake.planId,
+    planName: stake.planName,
+    principal,
+    daysStaked,
+    daysPaid: stake.daysPaid,
+    rewardsPaid,
+    unpaidRewardsForfeited,
+    feePercent,
+    fee,
+    rewardsClawedBack,
+    penalty: money.sub(principal, payout),
+    payout
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  STAKE_COMPLETION_ACTIONS,
+  startOfUtcDay,
+  dailyRewardFor,
+  buildStake,
+  getPlanUsage,
+  checkPlanLimits,
+  planLimitsExpression,
+  getRewardsPaid,
+  accrueStakeRewards,
+  describeStakeProgress,
+  planRenewal,
+  projectStakes,
+  selectFeeTier,
+  quoteEarlyUnstake,
+};
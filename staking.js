@@ -1,96 +1,170 @@
 // staking.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const authenticate = require('./authMiddleware');
+const requireVerifiedEmail = require('./emailVerifiedMiddleware');
+const idempotency = require('./idempotencyMiddleware');
 const User = require('./user');
+const StakingPlan = require('./stakingPlan');
+const PlanCapacity = require('./planCapacity');
+const LedgerEntry = require('./ledgerEntry');
+const { accounts, move } = require('./ledgerEntry');
+const { reservedAmount } = require('./planCapacity');
+const money = require('./money');
+const { decimalsToNumbers, amountsToNumbers } = require('./money');
+const { runInTransaction, rollback } = require('./transactions');
+const {
+  DAY_MS,
+  STAKE_COMPLETION_ACTIONS,
+  buildStake,
+  getPlanUsage,
+  checkPlanLimits,
+  planLimitsExpression,
+  describeStakeProgress,
+  getRewardsPaid,
+  projectStakes,
+  quoteEarlyUnstake
+} = require('./stakeUtils');
 
-const STAKING_PLANS = [
-  { id: 'quick', name: 'Quick Stake', duration: 7, minCredits: 50, rewardPercent: 100 },
-  { id: 'standard', name: 'Standard Stake', duration: 30, minCredits: 100, rewardPercent: 250 },
-  { id: 'premium', name: 'Premium Stake', duration: 90, minCredits: 500, rewardPercent: 500 },
-  { id: 'elite', name: 'Elite Stake', duration: 180, minCredits: 1000, rewardPercent: 1000 }
-];
-
-router.get('/staking/plans', (req, res) => {
-  res.json({
-    message: '✅ Staking plans fetched successfully',
-    plans: STAKING_PLANS
-  });
+// Decimal-string fields of the stakeUtils results, reported as numbers.
+const PROGRESS_AMOUNT_FIELDS = ['accruedUnpaidRewards', 'earnedToDate', 'expectedRemainingRewards', 'projectedFinalValue'];
+const QUOTE_AMOUNT_FIELDS = ['principal', 'rewardsPaid', 'unpaidRewardsForfeited', 'fee', 'rewardsClawedBack', 'penalty', 'payout'];
+const SCHEDULE_AMOUNT_FIELDS = ['reward', 'compounded', 'stakeAmount', 'rewardsPaid'];
+const TIMELINE_AMOUNT_FIELDS = ['balance', 'staked', 'totalValue'];
+
+router.get('/staking/plans', async (req, res) => {
+  try {
+    const plans = await StakingPlan.findActivePlans();
+    const [stakedByPlan, user] = await Promise.all([
+      PlanCapacity.getStakedByPlan(plans.filter(plan => plan.globalCap != null).map(plan => plan.planId)),
+      req.userId ? User.findById(req.userId).select('stakes') : null
+    ]);
+
+    res.json({
+      message: '✅ Staking plans fetched successfully',
+      plans: plans.map(plan => {
+        const usage = getPlanUsage(user && user.stakes, plan.planId);
+        return {
+          ...plan.toPublicJSON(),
+          remainingCapacity: plan.globalCap != null
+            ? money.toNumber(money.max(0, money.sub(plan.globalCap, stakedByPlan.get(plan.planId) || 0)))
+            : null,
+          remainingForUser: plan.maxStakePerUser != null
+            ? money.toNumber(money.max(0, money.sub(plan.maxStakePerUser, usage.activeAmount)))
+            : null,
+          remainingStakeSlots: plan.maxConcurrentStakes != null
+            ? Math.max(0, plan.maxConcurrentStakes - usage.activeCount)
+            : null
+        };
+      })
+    });
+  } catch (err) {
+    console.error('Staking plans fetch error:', err);
+    res.status(500).json({ error: 'Internal server error fetching staking plans' });
+  }
 });
 
-router.post('/staking/plan', authenticate, async (req, res) => {
+// Validates the optional onCompletion / compoundRewards settings. Returns { error } or { settings }.
+function parseStakeSettings(body) {
+  const settings = {};
+  if (body.onCompletion !== undefined) {
+    if (!STAKE_COMPLETION_ACTIONS.includes(body.onCompletion)) {
+      return { error: `onCompletion must be one of: ${STAKE_COMPLETION_ACTIONS.join(', ')}` };
+    }
+    settings.onCompletion = body.onCompletion;
+  }
+  if (body.compoundRewards !== undefined) {
+    if (typeof body.compoundRewards !== 'boolean') return { error: 'compoundRewards must be true or false.' };
+    settings.compoundRewards = body.compoundRewards;
+  }
+  return { settings };
+}
+
+router.post('/staking/plan', authenticate, idempotency, requireVerifiedEmail, async (req, res) => {
   const { planId, amount } = req.body;
 
-  const parsedAmount = parseFloat(amount);
+  const parsedAmount = money.parseAmount(amount);
 
-  if (isNaN(parsedAmount) || parsedAmount <= 0) {
+  if (!parsedAmount) {
        return res.status(400).json({ error: 'A valid staking amount is required.' });
   }
 
+  const { settings, error: settingsError } = parseStakeSettings(req.body);
+  if (settingsError) return res.status(400).json({ error: settingsError });
+
 
   try {
-    const user = await User.findById(req.userId).select('_id credits stakes creditsHistory');
+    const user = await User.findById(req.userId).select('_id credits stakes');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    const plan = STAKING_PLANS.find(p => p.id === planId);
+    const plan = await StakingPlan.findActivePlan(planId);
     if (!plan) return res.status(400).json({ error: 'Invalid staking plan' });
 
-    if (parsedAmount < plan.minCredits) {
+    if (money.cmp(parsedAmount, plan.minCredits) < 0) {
       return res.status(400).json({ error: `Minimum ${plan.minCredits} credits required for this plan` });
     }
 
-    const availableCredits = user.credits || 0;
-    if (parsedAmount > availableCredits) {
+    const availableCredits = money.normalize(user.credits || 0);
+    if (money.cmp(parsedAmount, availableCredits) > 0) {
       return res.status(400).json({
         error: `Insufficient credits. Available: ${availableCredits}`,
-        availableBalance: availableCredits
+        availableBalance: money.toNumber(availableCredits)
       });
     }
 
-    user.credits = availableCredits - parsedAmount;
-
-    const startDate = new Date();
-    const endDate = new Date(startDate.getTime() + plan.duration * 24 * 60 * 60 * 1000);
-    const totalReward = parsedAmount * (plan.rewardPercent / 100);
-    const dailyReward = totalReward / plan.duration;
-
-    if (!user.stakes) user.stakes = [];
-    user.stakes.push({
-      planId: plan.id,
-      planName: plan.name,
-      amount: parsedAmount,
-      reward: totalReward,
-      duration: plan.duration,
-      dailyReward,
-      daysPaid: 0,
-      lastRewardDate: startDate,
-      startDate,
-      endDate,
-      status: 'active'
-    });
+    const limitError = checkPlanLimits(plan, getPlanUsage(user.stakes, plan.planId), parsedAmount);
+    if (limitError) return res.status(400).json({ error: limitError });
 
-    if (!user.creditsHistory) user.creditsHistory = [];
-     user.creditsHistory.push({
-      type: 'stake',
-      amount: -parsedAmount,
-      reason: `Staked in ${plan.name} plan (Amount: ${parsedAmount})`,
-      date: new Date(),
-    });
+    const stake = {
+      _id: new mongoose.Types.ObjectId(),
+      ...buildStake(plan, parsedAmount, settings),
+      capacityReserved: parsedAmount
+    };
+
+    // The capacity reservation, the stake and its ledger entry are written together or not
+    // at all. Balance and per-user limits are re-checked in the update that creates the
+    // stake, so concurrent requests can't both pass on a stale read.
+    const outcome = await runInTransaction(async (session) => {
+      if (!await PlanCapacity.reserve(plan.planId, parsedAmount, plan.globalCap, { session })) {
+        rollback({ status: 409, error: `${plan.name} is at capacity. Please choose a smaller amount or another plan.` });
+      }
 
-     const historyLimit = parseInt(process.env.CREDITS_HISTORY_LIMIT || '1000', 10);
-     if (user.creditsHistory.length > historyLimit) {
-        user.creditsHistory = user.creditsHistory.slice(-historyLimit);
-     }
+      const updated = await User.findOneAndUpdate(
+        {
+          _id: req.userId,
+          credits: { $gte: parsedAmount },
+          $expr: planLimitsExpression(plan, parsedAmount)
+        },
+        {
+          $inc: { credits: money.negate(parsedAmount), __v: 1 },
+          $push: { stakes: stake }
+        },
+        { new: true, projection: { credits: 1, stakes: { $elemMatch: { _id: stake._id } } }, session }
+      );
+      if (!updated) {
+        rollback({ status: 409, error: 'Your balance or stakes changed while staking. Please try again.' });
+      }
 
+      await LedgerEntry.post({
+        type: 'stake',
+        userId: req.userId,
+        postings: move(accounts.user(req.userId), accounts.stake(req.userId), parsedAmount),
+        source: { kind: 'stake', id: String(stake._id) },
+        description: `Staked in ${plan.name} plan (Amount: ${parsedAmount})`,
+        dedupeKey: `stake_open:${stake._id}`
+      }, { session });
 
-    await user.save();
+      return { updated };
+    });
 
-    const newStake = user.stakes[user.stakes.length - 1];
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    const { updated } = outcome;
 
     res.json({
-      message: `✅ Successfully staked ${parsedAmount} credits in ${plan.name}. Your new balance is ${user.credits}`,
-      stake: newStake,
-      newCreditBalance: user.credits
+      message: `✅ Successfully staked ${parsedAmount} credits in ${plan.name}. Your new balance is ${updated.credits}`,
+      stake: decimalsToNumbers(updated.stakes[0]),
+      newCreditBalance: money.toNumber(updated.credits)
     });
   } catch (err) {
     console.error('Staking error for user', req.userId, ':', err);
@@ -103,12 +177,36 @@ router.get('/staking/status', authenticate, async (req, res) => {
     const user = await User.findById(req.userId).select('credits stakes');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    const sortedStakes = (user.stakes || []).sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+    const now = new Date();
+    const portfolio = {
+      totalStaked: '0',
+      totalEarned: '0',
+      totalAccruedUnpaid: '0',
+      expectedRemainingRewards: '0',
+      activeStakes: 0
+    };
+
+    const stakes = (user.stakes || [])
+      .sort((a, b) => new Date(b.startDate) - new Date(a.startDate))
+      .map(stake => {
+        const stakeObject = stake.toObject();
+        portfolio.totalEarned = money.add(portfolio.totalEarned, getRewardsPaid(stakeObject));
+        if (stake.status !== 'active') return decimalsToNumbers(stakeObject);
+
+        const progress = describeStakeProgress(stakeObject, now);
+        portfolio.activeStakes++;
+        portfolio.totalStaked = money.add(portfolio.totalStaked, stake.amount);
+        portfolio.totalAccruedUnpaid = money.add(portfolio.totalAccruedUnpaid, progress.accruedUnpaidRewards);
+        portfolio.expectedRemainingRewards = money.add(portfolio.expectedRemainingRewards, progress.expectedRemainingRewards);
+        return { ...decimalsToNumbers(stakeObject), ...amountsToNumbers(progress, PROGRESS_AMOUNT_FIELDS) };
+      });
 
     res.json({
       message: '✅ Stake status fetched',
-      credits: user.credits || 0,
-      stakes: sortedStakes
+      credits: money.toNumber(user.credits || 0),
+      asOf: now,
+      portfolio: amountsToNumbers(portfolio, ['totalStaked', 'totalEarned', 'totalAccruedUnpaid', 'expectedRemainingRewards']),
+      stakes
     });
   } catch (err) {
     console.error('Status fetch error for user', req.userId, ':', err);
@@ -116,4 +214,281 @@ router.get('/staking/status', authenticate, async (req, res) => {
   }
 });
 
+const QUOTE_MAX_STAKES = parseInt(process.env.STAKING_QUOTE_MAX_STAKES || '10', 10);
+const QUOTE_MAX_DAYS = parseInt(process.env.STAKING_QUOTE_MAX_DAYS || '1095', 10);
+
+function summarizeProjectedStake(stake, includeSchedule) {
+  const rewards = money.sum(stake.schedule.map(entry => entry.reward));
+  const compounded = money.sum(stake.schedule.map(entry => entry.compounded));
+  return {
+    key: stake.key,
+    source: stake.source || 'renewal',
+    stakeId: stake._id,
+    planId: stake.planId,
+    planVersion: stake.planVersion,
+    planName: stake.planName,
+    compoundRewards: !!stake.compoundRewards,
+    onCompletion: stake.onCompletion || 'return',
+    startDate: stake.startDate,
+    completionDate: stake.endDate,
+    status: stake.status,
+    finalAmount: money.toNumber(stake.amount),
+    projectedRewards: money.toNumber(rewards),
+    // Principal returned at completion plus rewards paid to the balance within the horizon.
+    totalPayout: stake.status === 'completed' ? money.toNumber(money.sub(money.add(stake.amount, rewards), compounded)) : null,
+    renewedFromKey: stake.renewedFromKey,
+    renewedToKey: stake.renewedToKey,
+    renewalSkippedReason: stake.renewalSkippedReason,
+    dailySchedule: includeSchedule ? stake.schedule.map(entry => amountsToNumbers(entry, SCHEDULE_AMOUNT_FIELDS)) : undefined
+  };
+}
+
+// Simulates hypothetical stakes, optionally together with the user's active stakes, using
+// the same payout rules as the daily rewards job. Nothing is written.
+router.post('/staking/quote', authenticate, async (req, res) => {
+  const { stakes = [], includeActiveStakes = true, horizonDays } = req.body;
+
+  if (!Array.isArray(stakes) || stakes.length > QUOTE_MAX_STAKES) {
+    return res.status(400).json({ error: `stakes must be an array of at most ${QUOTE_MAX_STAKES} entries.` });
+  }
+  if (horizonDays !== undefined && (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > QUOTE_MAX_DAYS)) {
+    return res.status(400).json({ error: `horizonDays must be a whole number between 1 and ${QUOTE_MAX_DAYS}.` });
+  }
+
+  try {
+    const user = await User.findById(req.userId).select('credits stakes');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const plans = new Map((await StakingPlan.findActivePlans()).map(plan => [plan.planId, plan]));
+    const now = new Date();
+
+    const quoted = [];
+    for (const [index, entry] of stakes.entries()) {
+      const plan = plans.get(entry && entry.planId);
+      if (!plan) return res.status(400).json({ error: `stakes[${index}]: invalid staking plan` });
+
+      const amount = money.parseAmount(entry.amount);
+      if (!amount || money.cmp(amount, plan.minCredits) < 0) {
+        return res.status(400).json({ error: `stakes[${index}]: minimum ${plan.minCredits} credits required for this plan` });
+      }
+
+      const { settings, error } = parseStakeSettings(entry);
+      if (error) return res.status(400).json({ error: `stakes[${index}]: ${error}` });
+
+      quoted.push({ ...buildStake(plan, amount, { ...settings, startDate: now }), key: `quote-${index + 1}`, source: 'quote' });
+    }
+
+    const active = includeActiveStakes
+      ? (user.stakes || []).filter(stake => stake.status === 'active').map(stake => ({
+        ...stake.toObject(),
+        key: `active-${stake._id}`,
+        source: 'active'
+      }))
+      : [];
+
+    if (quoted.length === 0 && active.length === 0) {
+      return res.status(400).json({ error: 'Provide at least one stake to quote or have an active stake.' });
+    }
+
+    // By default, project until the last stake (without renewals) has ended.
+    const lastEnd = Math.max(...[...quoted, ...active].map(stake => new Date(stake.endDate).getTime()));
+    const days = horizonDays || Math.min(QUOTE_MAX_DAYS, Math.max(1, Math.ceil((lastEnd - now) / DAY_MS) + 1));
+
+    const startingBalance = money.normalize(user.credits || 0);
+    const committed = money.sum(quoted.map(stake => stake.amount));
+
+    const projection = projectStakes({
+      balance: money.sub(startingBalance, committed),
+      stakes: [...active, ...quoted],
+      plans,
+      from: now,
+      days
+    });
+
+    const timeline = projection.timeline.map(entry => amountsToNumbers(entry, TIMELINE_AMOUNT_FIELDS));
+
+    res.json({
+      message: '✅ Staking projection calculated',
+      startingBalance: money.toNumber(startingBalance),
+      committedToQuotedStakes: money.toNumber(committed),
+      insufficientBalance: money.cmp(committed, startingBalance) > 0,
+      horizonDays: days,
+      stakes: projection.stakes.map(stake => summarizeProjectedStake(stake, stake.source !== 'active')),
+      timeline,
+      final: timeline[timeline.length - 1]
+    });
+  } catch (err) {
+    console.error('Staking quote error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error calculating staking quote' });
+  }
+});
+
+// Changes what happens when a stake completes and whether its daily rewards compound.
+router.patch('/staking/stakes/:stakeId/settings', authenticate, async (req, res) => {
+  const { stakeId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(stakeId)) {
+    return res.status(400).json({ error: 'Invalid stake ID.' });
+  }
+
+  const { settings, error } = parseStakeSettings(req.body);
+  if (error) return res.status(400).json({ error });
+  if (Object.keys(settings).length === 0) {
+    return res.status(400).json({ error: 'Provide onCompletion and/or compoundRewards.' });
+  }
+
+  try {
+    const $set = {};
+    for (const [field, value] of Object.entries(settings)) {
+      $set[`stakes.$.${field}`] = value;
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: req.userId, stakes: { $elemMatch: { _id: stakeId, status: 'active' } } },
+      { $set },
+      { new: true, projection: { stakes: { $elemMatch: { _id: stakeId } } } }
+    );
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Active stake not found' });
+    }
+
+    res.json({
+      message: '✅ Stake settings updated',
+      stake: decimalsToNumbers(updated.stakes[0])
+    });
+  } catch (err) {
+    console.error('Stake settings update error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Early-exit terms for a stake: the copy taken when it was opened. Stakes opened before early
+// unstaking existed have none; they were locked until completion and stay that way, rather than
+// picking up terms (such as the seeded plans' fee) their holders never agreed to.
+function getEarlyUnstakeTerms(stake) {
+  return stake.earlyUnstake || null;
+}
+
+// Shared lookup for the quote and unstake routes. Returns { error, status } or { user, stake, quote }.
+async function prepareEarlyUnstake(userId, stakeId) {
+  if (!mongoose.Types.ObjectId.isValid(stakeId)) {
+    return { status: 400, error: 'Invalid stake ID.' };
+  }
+
+  const user = await User.findById(userId).select('_id credits stakes');
+  if (!user) return { status: 404, error: 'User not found' };
+
+  const stake = user.stakes.id(stakeId);
+  if (!stake) return { status: 404, error: 'Stake not found' };
+  if (stake.status !== 'active') {
+    return { status: 400, error: `Only active stakes can be unstaked. This stake is ${stake.status}.` };
+  }
+
+  const terms = getEarlyUnstakeTerms(stake);
+  if (!terms || !terms.allowed) {
+    return { status: 400, error: 'Early unstaking is not available for this stake\'s plan.' };
+  }
+
+  return { user, stake, quote: quoteEarlyUnstake(stake, terms) };
+}
+
+router.get('/staking/stakes/:stakeId/unstake-quote', authenticate, async (req, res) => {
+  try {
+    const { status, error, quote } = await prepareEarlyUnstake(req.userId, req.params.stakeId);
+    if (error) return res.status(status).json({ error });
+
+    res.json({
+      message: '✅ Early unstake quote',
+      quote: amountsToNumbers(quote, QUOTE_AMOUNT_FIELDS)
+    });
+  } catch (err) {
+    console.error('Unstake quote error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancels an active stake, returning the principal less the plan's early-exit penalty.
+// Pass expectedPayout (from the quote) to refuse the unstake if the terms have moved since.
+router.post('/staking/stakes/:stakeId/unstake', authenticate, async (req, res) => {
+  const { expectedPayout } = req.body;
+
+  try {
+    const { status, error, stake, quote } = await prepareEarlyUnstake(req.userId, req.params.stakeId);
+    if (error) return res.status(status).json({ error });
+
+    if (expectedPayout !== undefined) {
+      const expected = money.parseAmount(expectedPayout, { allowZero: true });
+      if (expected === null) return res.status(400).json({ error: 'expectedPayout must be a valid amount.' });
+      if (money.cmp(expected, quote.payout) !== 0) {
+        return res.status(409).json({ error: 'The unstake quote has changed. Please review the new quote.', quote: amountsToNumbers(quote, QUOTE_AMOUNT_FIELDS) });
+      }
+    }
+
+    const now = new Date();
+
+    // The penalty goes to fees: the stake account gives up the whole principal, the user
+    // gets the payout.
+    const penaltyParts = [];
+    const hasPenalty = !money.isZero(quote.penalty);
+    if (!money.isZero(quote.fee)) penaltyParts.push(`${quote.feePercent}% fee`);
+    if (!money.isZero(quote.rewardsClawedBack)) penaltyParts.push(`${quote.rewardsClawedBack} paid rewards forfeited`);
+
+    const updated = await runInTransaction(async (session) => {
+      // Matching on daysPaid makes a reward paid after the quote void the request instead of
+      // double-counting it; bumping __v makes any concurrent read-modify-save of this user fail.
+      const user = await User.findOneAndUpdate(
+        {
+          _id: req.userId,
+          stakes: { $elemMatch: { _id: stake._id, status: 'active', daysPaid: stake.daysPaid } }
+        },
+        {
+          $set: {
+            'stakes.$.status': 'cancelled',
+            'stakes.$.cancelledAt': now,
+            'stakes.$.unstakeFee': quote.penalty,
+            'stakes.$.unstakePayout': quote.payout
+          },
+          $inc: { credits: quote.payout, __v: 1 }
+        },
+        { new: true, projection: { credits: 1, stakes: { $elemMatch: { _id: stake._id } } }, session }
+      );
+      if (!user) rollback(null);
+
+      await PlanCapacity.release(stake.planId, reservedAmount(stake), { session });
+
+      await LedgerEntry.post({
+        type: 'unstake',
+        userId: req.userId,
+        postings: [
+          { ...accounts.stake(req.userId), amount: money.negate(quote.principal) },
+          { ...accounts.user(req.userId), amount: quote.payout },
+          ...(hasPenalty ? [{ ...accounts.fees, amount: quote.penalty }] : [])
+        ],
+        source: { kind: 'stake', id: String(stake._id) },
+        description: hasPenalty
+          ? `Early unstake of ${stake.planName}: principal returned less penalty (${penaltyParts.join(', ')})`
+          : `Early unstake of ${stake.planName}: principal returned`,
+        dedupeKey: `stake_cancel:${stake._id}`,
+        date: now
+      }, { session });
+
+      return user;
+    });
+
+    if (!updated) {
+      return res.status(409).json({ error: 'The stake changed while unstaking. Please request a new quote.' });
+    }
+
+    res.json({
+      message: `✅ Stake cancelled. ${quote.payout} credits returned to your balance.`,
+      quote: amountsToNumbers(quote, QUOTE_AMOUNT_FIELDS),
+      stake: decimalsToNumbers(updated.stakes[0]),
+      newCreditBalance: money.toNumber(updated.credits)
+    });
+  } catch (err) {
+    console.error('Unstake error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error during unstaking' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,171 @@
+// stakingPlan.js
+const mongoose = require('mongoose');
+
+const DEFAULT_EARLY_UNSTAKE = {
+  allowed: true,
+  forfeitPaidRewards: false,
+  feeSchedule: [{ minDaysStaked: 0, feePercent: 10 }]
+};
+
+// Plans offered before plans moved to the database; used to seed an empty collection.
+const DEFAULT_STAKING_PLANS = [
+  { planId: 'quick', name: 'Quick Stake', duration: 7, minCredits: 50, rewardPercent: 100, earlyUnstake: DEFAULT_EARLY_UNSTAKE },
+  { planId: 'standard', name: 'Standard Stake', duration: 30, minCredits: 100, rewardPercent: 250, earlyUnstake: DEFAULT_EARLY_UNSTAKE },
+  { planId: 'premium', name: 'Premium Stake', duration: 90, minCredits: 500, rewardPercent: 500, earlyUnstake: DEFAULT_EARLY_UNSTAKE },
+  { planId: 'elite', name: 'Elite Stake', duration: 180, minCredits: 1000, rewardPercent: 1000, earlyUnstake: DEFAULT_EARLY_UNSTAKE }
+];
+
+// Early-exit terms. Shared with the stake subdocument in user.js, which keeps a copy of
+// the terms in force when the stake was opened.
+const earlyUnstakeSchema = new mongoose.Schema({
+  allowed: {
+    type: Boolean,
+    default: false
+  },
+  // Claw back rewards already paid out by deducting them from the returned principal.
+  forfeitPaidRewards: {
+    type: Boolean,
+    default: false
+  },
+  // Percentage of principal charged, by how long the stake has run.
+  feeSchedule: [{
+    _id: false,
+    minDaysStaked: { type: Number, required: true, min: 0 },
+    feePercent: { type: Number, required: true, min: 0, max: 100 }
+  }]
+}, { _id: false });
+
+// Every change to a plan is a new, immutable version. The version in force for a planId is
+// the highest version whose effectiveFrom has passed; a retired version withdraws the plan.
+// Stakes copy the terms they were opened under, so later versions never affect them.
+const stakingPlanSchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'planId can only contain lowercase letters, numbers, dashes and underscores']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  duration: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  minCredits: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rewardPercent: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  earlyUnstake: {
+    type: earlyUnstakeSchema,
+    default: () => ({})
+  },
+  // Capacity limits; null means unlimited. Per-user limits count the user's active stakes
+  // in this plan, the global cap counts everyone's (see planCapacity.js).
+  maxStakePerUser: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  maxConcurrentStakes: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  globalCap: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stakingPlanSchema.index({ planId: 1, version: -1 }, { unique: true });
+stakingPlanSchema.index({ effectiveFrom: 1 });
+
+stakingPlanSchema.methods.toPublicJSON = function () {
+  return {
+    id: this.planId,
+    version: this.version,
+    name: this.name,
+    duration: this.duration,
+    minCredits: this.minCredits,
+    rewardPercent: this.rewardPercent,
+    earlyUnstake: this.earlyUnstake,
+    maxStakePerUser: this.maxStakePerUser,
+    maxConcurrentStakes: this.maxConcurrentStakes,
+    globalCap: this.globalCap,
+    effectiveFrom: this.effectiveFrom
+  };
+};
+
+// The version in force for every planId at `now`, active or retired.
+stakingPlanSchema.statics.findCurrentVersions = async function (now = new Date()) {
+  const current = await this.aggregate([
+    { $match: { effectiveFrom: { $lte: now } } },
+    { $sort: { planId: 1, version: -1 } },
+    { $group: { _id: '$planId', doc: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$doc' } },
+    { $sort: { minCredits: 1, planId: 1 } }
+  ]);
+  return current.map(doc => this.hydrate(doc));
+};
+
+stakingPlanSchema.statics.findActivePlans = async function (now = new Date()) {
+  const current = await this.findCurrentVersions(now);
+  return current.filter(plan => plan.status === 'active');
+};
+
+stakingPlanSchema.statics.findActivePlan = async function (planId, now = new Date()) {
+  const plan = await this.findOne({ planId, effectiveFrom: { $lte: now } }).sort({ version: -1 });
+  return plan && plan.status === 'active' ? plan : null;
+};
+
+stakingPlanSchema.statics.findLatestVersion = function (planId) {
+  return this.findOne({ planId }).sort({ version: -1 });
+};
+
+stakingPlanSchema.statics.seedDefaults = async function () {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) return 0;
+
+  const effectiveFrom = new Date(0);
+  await this.insertMany(DEFAULT_STAKING_PLANS.map(plan => ({ ...plan, version: 1, status: 'active', effectiveFrom })));
+  console.log(`✅ Seeded ${DEFAULT_STAKING_PLANS.length} default staking plans.`);
+  return DEFAULT_STAKING_PLANS.length;
+};
+
+const StakingPlan = mongoose.model('StakingPlan', stakingPlanSchema);
+
+module.exports = StakingPlan;
+module.exports.DEFAULT_STAKING_PLANS = DEFAULT_STAKING_PLANS;
+module.exports.earlyUnstakeSchema = earlyUnstakeSchema;
@@ -0,0 +1,136 @@
+// test/idempotencyMiddleware.test.js
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const IdempotencyKey = require('../idempotencyKey');
+const idempotency = require('../idempotencyMiddleware');
+
+function duplicateKeyError() {
+  const err = new Error('E11000 duplicate key');
+  err.code = 11000;
+  return err;
+}
+
+function makeReq(options = {}) {
+  const key = 'key' in options ? options.key : 'key-1';
+  const body = options.body || { amount: '10' };
+  return { get: () => key, userId: 'user-1', method: 'POST', baseUrl: '/api', path: '/transfers', body };
+}
+
+// `sent` resolves once the response body has actually been sent.
+function makeRes() {
+  let markSent;
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    sent: new Promise(resolve => { markSent = resolve; }),
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(body) { this.body = body; markSent(); return this; }
+  };
+}
+
+// Runs the middleware and returns { res, nextCalled }.
+async function run(req, res = makeRes()) {
+  let nextCalled = false;
+  await idempotency(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+// The record a first request with the same payload stored.
+async function storedRecord(overrides = {}) {
+  // Capture the hash the middleware computes for this payload.
+  let requestHash;
+  mock.method(IdempotencyKey, 'create', async doc => { requestHash = doc.requestHash; return { _id: 'rec-0', ...doc }; });
+  await run(makeReq());
+  mock.restoreAll();
+  return { _id: 'rec-1', method: 'POST', path: '/api/transfers', requestHash, status: 'processing', startedAt: new Date(), ...overrides };
+}
+
+beforeEach(() => mock.restoreAll());
+
+test('requests without the header pass through untouched', async () => {
+  const create = mock.method(IdempotencyKey, 'create', async () => ({}));
+  const { nextCalled } = await run(makeReq({ key: undefined }));
+  assert.equal(nextCalled, true);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('invalid keys are rejected', async () => {
+  const { res, nextCalled } = await run(makeReq({ key: 'has space' }));
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_INVALID');
+});
+
+test('a completed key replays the stored response', async () => {
+  const existing = await storedRecord({ status: 'completed', responseStatus: 201, responseBody: { ok: true } });
+  mock.method(IdempotencyKey, 'create', async () => { throw duplicateKeyError(); });
+  mock.method(IdempotencyKey, 'findOne', () => ({ lean: async () => existing }));
+
+  const { res, nextCalled } = await run(makeReq());
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 201);
+  assert.deepEqual(res.body, { ok: true });
+  assert.equal(res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('confirmation secrets are not part of the payload a key is bound to', async () => {
+  const existing = await storedRecord({ status: 'completed', responseStatus: 201, responseBody: { ok: true } });
+  mock.method(IdempotencyKey, 'create', async () => { throw duplicateKeyError(); });
+  mock.method(IdempotencyKey, 'findOne', () => ({ lean: async () => existing }));
+
+  const { res } = await run(makeReq({ body: { twoFactorCode: '123456', amount: '10' } }));
+  assert.equal(res.statusCode, 201);
+});
+
+test('reusing a key for another payload is refused', async () => {
+  const existing = await storedRecord({ status: 'completed', responseStatus: 201, responseBody: { ok: true } });
+  mock.method(IdempotencyKey, 'create', async () => { throw duplicateKeyError(); });
+  mock.method(IdempotencyKey, 'findOne', () => ({ lean: async () => existing }));
+
+  const { res } = await run(makeReq({ body: { amount: '11' } }));
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('a retry while the first request runs gets 409', async () => {
+  const existing = await storedRecord();
+  mock.method(IdempotencyKey, 'create', async () => { throw duplicateKeyError(); });
+  mock.method(IdempotencyKey, 'findOne', () => ({ lean: async () => existing }));
+  mock.method(IdempotencyKey, 'findOneAndUpdate', async () => null);
+
+  const { res, nextCalled } = await run(makeReq());
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+});
+
+test('a key stuck processing is taken over and the request runs again', async () => {
+  const existing = await storedRecord({ startedAt: new Date(Date.now() - 60 * 60 * 1000) });
+  mock.method(IdempotencyKey, 'create', async () => { throw duplicateKeyError(); });
+  mock.method(IdempotencyKey, 'findOne', () => ({ lean: async () => existing }));
+  const takeOver = mock.method(IdempotencyKey, 'findOneAndUpdate', async () => ({ _id: existing._id }));
+  mock.method(console, 'warn', () => {});
+
+  const { nextCalled } = await run(makeReq());
+  assert.equal(nextCalled, true);
+  assert.equal(takeOver.mock.calls[0].arguments[0].status, 'processing');
+});
+
+for (const [status, settled] of [[201, 'completed'], [400, 'completed'], [401, 'released'], [429, 'released'], [500, 'completed']]) {
+  test(`a ${status} response is ${settled}`, async () => {
+    mock.method(IdempotencyKey, 'create', async doc => ({ _id: 'rec-1', ...doc }));
+    const deleteOne = mock.method(IdempotencyKey, 'deleteOne', async () => ({}));
+    const updateOne = mock.method(IdempotencyKey, 'updateOne', async () => ({}));
+
+    const { res, nextCalled } = await run(makeReq());
+    assert.equal(nextCalled, true);
+
+    res.status(status).json({ result: status });
+    await res.sent;
+
+    assert.equal(deleteOne.mock.callCount(), settled === 'released' ? 1 : 0);
+    assert.equal(updateOne.mock.callCount(), settled === 'completed' ? 1 : 0);
+  });
+}
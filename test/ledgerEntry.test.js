@@ -0,0 +1,63 @@
+// test/ledgerEntry.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../ledgerEntry');
+const { accounts, move } = require('../ledgerEntry');
+
+const userId = new mongoose.Types.ObjectId();
+
+function entry(postings) {
+  return new LedgerEntry({ type: 'admin_adjustment', userId, postings, source: { kind: 'admin', id: 'test' } });
+}
+
+test('move() produces a balanced pair of postings', async () => {
+  const postings = move(accounts.treasury, accounts.user(userId), '12.5');
+  assert.deepEqual(postings.map(posting => [posting.account, posting.amount]), [['treasury', '-12.5'], ['user', '12.5']]);
+  await entry(postings).validate();
+});
+
+test('an unbalanced entry is rejected', async () => {
+  const postings = [
+    { ...accounts.treasury, amount: '-10' },
+    { ...accounts.user(userId), amount: '9.99999999' }
+  ];
+  await assert.rejects(entry(postings).validate(), /unbalanced by -0.00000001/);
+});
+
+test('an entry needs two postings', async () => {
+  await assert.rejects(entry([{ ...accounts.treasury, amount: '0' }]).validate(), /at least two postings/);
+});
+
+test('user and stake postings need a userId', async () => {
+  const postings = [
+    { ...accounts.treasury, amount: '-1' },
+    { account: 'user', amount: '1' }
+  ];
+  await assert.rejects(entry(postings).validate(), /need a userId/);
+});
+
+test('multi-leg entries balance across all postings', async () => {
+  const postings = [
+    { ...accounts.user(userId), amount: '-10.5' },
+    { ...accounts.transfers, amount: '10' },
+    { ...accounts.fees, amount: '0.5' }
+  ];
+  await entry(postings).validate();
+});
+
+test('getUserSourceTotals groups a user\'s postings by source record and account', async () => {
+  const aggregate = mock.method(LedgerEntry, 'aggregate', async () => [
+    { _id: { kind: 'stake', id: 's1', account: 'user' }, total: mongoose.Types.Decimal128.fromString('-100') },
+    { _id: { kind: 'stake', id: 's1', account: 'stake' }, total: mongoose.Types.Decimal128.fromString('100.00') },
+    { _id: { kind: 'deposit', id: '0xabc', account: 'user' }, total: mongoose.Types.Decimal128.fromString('25.5') }
+  ]);
+
+  const totals = await LedgerEntry.getUserSourceTotals(userId, ['stake', 'deposit']);
+  assert.deepEqual(Object.fromEntries(totals), {
+    'stake:s1': { available: '-100', staked: '100' },
+    'deposit:0xabc': { available: '25.5', staked: '0' }
+  });
+  assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match.type, { $in: ['stake', 'deposit'] });
+  aggregate.mock.restore();
+});
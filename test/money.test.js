@@ -0,0 +1,100 @@
+// test/money.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const money = require('../money');
+
+test('sums are exact', () => {
+  assert.equal(money.add('0.1', '0.2'), '0.3');
+  assert.equal(money.add(0.1, 0.2), '0.3');
+  assert.equal(money.sum(['1.00000001', '2', '-0.00000001']), '3');
+  assert.equal(money.sub('10', '0.00000001'), '9.99999999');
+  assert.equal(money.negate('5.5'), '-5.5');
+});
+
+test('normalize drops trailing zeros and rounds half-even to 8 decimals', () => {
+  assert.equal(money.normalize('12.50000000'), '12.5');
+  assert.equal(money.normalize('0.000000005'), '0');
+  assert.equal(money.normalize('0.000000015'), '0.00000002');
+  assert.equal(money.normalize(mongoose.Types.Decimal128.fromString('3.10')), '3.1');
+});
+
+test('rewards round down', () => {
+  assert.equal(money.rewardAmount('0.00000003', '50'), '0.00000001');
+  assert.equal(money.rewardAmount('1000', '12.5'), '125');
+  assert.equal(money.dailyRewardAmount('1', 3), '0.33333333');
+});
+
+test('fees round up, away from zero', () => {
+  assert.equal(money.feeAmount('0.00000003', '50'), '0.00000002');
+  assert.equal(money.feeAmount('-0.00000003', '50'), '-0.00000002');
+  assert.equal(money.feeAmount('200', '1.5'), '3');
+});
+
+test('conversions round half-even', () => {
+  assert.equal(money.convert('1', '0.000000025'), '0.00000002');
+  assert.equal(money.convert('1', '0.000000035'), '0.00000004');
+  assert.equal(money.convertInverse('10', '3'), '3.33333333');
+});
+
+test('deposits are credited in whole cents rounded down', () => {
+  assert.equal(money.depositCredits('0.123456789012345678', '2000'), '246.91');
+  assert.equal(money.depositCredits('1.5', '10.999'), '16.49');
+});
+
+test('cmp, isZero, min and max compare exact values', () => {
+  assert.equal(money.cmp('1.00000001', '1'), 1);
+  assert.equal(money.cmp('1', '1.0'), 0);
+  assert.equal(money.cmp(-1, 0), -1);
+  assert.equal(money.isZero('0.000000000'), true);
+  assert.equal(money.min('2', '1.5'), '1.5');
+  assert.equal(money.max('2', '1.5'), '2');
+});
+
+test('division by zero throws', () => {
+  assert.throws(() => money.div('1', '0', money.ROUNDING.DOWN), /Division by zero/);
+});
+
+test('parseAmount accepts plain positive amounts with up to 8 decimals', () => {
+  assert.equal(money.parseAmount('1.5'), '1.5');
+  assert.equal(money.parseAmount(12.25), '12.25');
+  assert.equal(money.parseAmount(' 0.00000001 '), '0.00000001');
+});
+
+test('parseAmount rejects what it cannot store exactly', () => {
+  assert.equal(money.parseAmount('0.123456789'), null);
+  assert.equal(money.parseAmount('1e400'), null);
+  assert.equal(money.parseAmount(1e300), null);
+  assert.equal(money.parseAmount('1E2'), null);
+  assert.equal(money.parseAmount('9'.repeat(27)), null);
+  assert.equal(money.parseAmount('9'.repeat(26)), '9'.repeat(26));
+  assert.equal(money.parseAmount('abc'), null);
+  assert.equal(money.parseAmount(null), null);
+  assert.equal(money.parseAmount({ $gt: 0 }), null);
+  assert.equal(money.parseAmount(NaN), null);
+});
+
+test('parseAmount handles zero and negatives only when allowed', () => {
+  assert.equal(money.parseAmount('0'), null);
+  assert.equal(money.parseAmount('0', { allowZero: true }), '0');
+  assert.equal(money.parseAmount('-3'), null);
+  assert.equal(money.parseAmount('-3', { allowNegative: true }), '-3');
+});
+
+test('toExactString keeps every decimal and never uses exponents', () => {
+  const tiny = mongoose.Types.Decimal128.fromString('0.000000000000000001');
+  assert.equal(tiny.toString(), '1E-18');
+  assert.equal(money.toExactString(tiny), '0.000000000000000001');
+  assert.equal(money.toExactString('1.234567890123456789'), '1.234567890123456789');
+  assert.equal(money.toExactString(mongoose.Types.Decimal128.fromString('1E+3')), '1000');
+});
+
+test('decimalsToNumbers converts nested Decimal128 values', () => {
+  const converted = money.decimalsToNumbers({
+    credits: mongoose.Types.Decimal128.fromString('12.50'),
+    stakes: [{ amount: mongoose.Types.Decimal128.fromString('3') }],
+    note: 'kept'
+  });
+  assert.deepEqual(converted, { credits: 12.5, stakes: [{ amount: 3 }], note: 'kept' });
+  assert.deepEqual(money.amountsToNumbers({ amount: '1.5', fee: null }, ['amount', 'fee']), { amount: 1.5, fee: null });
+});
@@ -0,0 +1,17 @@
+// tokenUtils.js
+const crypto = require('crypto');
+
+// Tokens that are e-mailed to users are only ever stored as SHA-256 hashes.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,51 @@
+// transactions.js
+const mongoose = require('mongoose');
+
+// Thrown by rollback() to abort a transaction on purpose; runInTransaction returns its value.
+class TransactionRollback extends Error {
+  constructor(value) {
+    super('Transaction rolled back');
+    this.value = value;
+  }
+}
+
+function rollback(value) {
+  throw new TransactionRollback(value);
+}
+
+// Runs fn(session) in a MongoDB transaction: every write made with the session is committed
+// together or not at all. Write conflicts and other transient errors re-run fn from the start,
+// so fn must not have side effects outside the database (mail, chain calls). Call
+// rollback(value) inside fn to undo its writes and get `value` back; any other error rolls
+// back and is re-thrown. Transactions need MongoDB to run as a replica set.
+async function runInTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    if (err instanceof TransactionRollback) return err.value;
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Logs an error at startup when the server cannot run transactions (a standalone mongod).
+async function checkTransactionSupport() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    console.error('❌ MongoDB is not running as a replica set. Balance changes use transactions and will fail; start mongod with --replSet (a single-node replica set is enough).');
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  runInTransaction,
+  rollback,
+  checkTransactionSupport,
+};
@@ -0,0 +1,231 @@
+// transfer.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const authenticate = require('./authMiddleware');
+const requireVerifiedEmail = require('./emailVerifiedMiddleware');
+const { requireTwoFactorOrPassword } = require('./twoFactorMiddleware');
+const idempotency = require('./idempotencyMiddleware');
+const User = require('./user');
+const CreditTransfer = require('./creditTransfer');
+const TransferUsage = require('./transferUsage');
+const SecurityEvent = require('./securityEvent');
+const LedgerEntry = require('./ledgerEntry');
+const { accounts } = require('./ledgerEntry');
+const money = require('./money');
+const { getRequestContext } = require('./requestUtils');
+const { runInTransaction, rollback } = require('./transactions');
+
+const TRANSFER_MIN_AMOUNT = money.normalize(process.env.TRANSFER_MIN_AMOUNT || '1');
+const TRANSFER_FEE_PERCENT = money.normalize(process.env.TRANSFER_FEE_PERCENT || '0');
+const TRANSFER_FEE_FLAT = money.normalize(process.env.TRANSFER_FEE_FLAT || '0');
+// 0 disables a limit.
+const TRANSFER_DAILY_LIMIT = money.normalize(process.env.TRANSFER_DAILY_LIMIT || '1000');
+const TRANSFER_DAILY_MAX_COUNT = parseInt(process.env.TRANSFER_DAILY_MAX_COUNT || '10', 10);
+const TRANSFER_NOTE_MAX_LENGTH = 140;
+
+const dailyLimits = {
+  maxAmount: money.isZero(TRANSFER_DAILY_LIMIT) ? null : TRANSFER_DAILY_LIMIT,
+  maxCount: TRANSFER_DAILY_MAX_COUNT > 0 ? TRANSFER_DAILY_MAX_COUNT : null
+};
+
+function transferFee(amount) {
+  return money.add(money.feeAmount(amount, TRANSFER_FEE_PERCENT), TRANSFER_FEE_FLAT);
+}
+
+// Usernames take precedence over referral codes (8 hex characters, matched case-insensitively).
+async function findRecipient(recipient) {
+  const select = '_id username isActive';
+  return (await User.findOne({ username: recipient }).select(select)) ||
+    User.findOne({ referralCode: recipient.toUpperCase() }).select(select);
+}
+
+// The transfer as seen by `userId`: sent transfers show the fee, received ones do not.
+function formatTransfer(transfer, userId) {
+  const sent = String(transfer.senderId) === String(userId);
+  return {
+    id: transfer._id,
+    direction: sent ? 'sent' : 'received',
+    counterparty: sent ? transfer.recipientUsername : transfer.senderUsername,
+    amount: money.toNumber(transfer.amount),
+    ...(sent && { fee: money.toNumber(transfer.fee) }),
+    note: transfer.note,
+    createdAt: transfer.createdAt
+  };
+}
+
+// GET /api/transfers - The user's sent and received transfers, newest first, and today's limits
+router.get('/transfers', authenticate, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+  try {
+    const user = await User.findById(req.userId).select('_id');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [transfers, usage] = await Promise.all([
+      CreditTransfer.find({ $or: [{ senderId: user._id }, { recipientId: user._id }] })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean(),
+      TransferUsage.getToday(user._id)
+    ]);
+
+    res.json({
+      message: '✅ Transfers fetched successfully',
+      transfers: transfers.map(transfer => formatTransfer(transfer, user._id)),
+      limits: {
+        minAmount: money.toNumber(TRANSFER_MIN_AMOUNT),
+        feePercent: money.toNumber(TRANSFER_FEE_PERCENT),
+        flatFee: money.toNumber(TRANSFER_FEE_FLAT),
+        dailyLimit: dailyLimits.maxAmount === null ? null : money.toNumber(dailyLimits.maxAmount),
+        dailyRemaining: dailyLimits.maxAmount === null ? null : money.toNumber(money.max(money.sub(dailyLimits.maxAmount, usage.amount), 0)),
+        dailyMaxCount: dailyLimits.maxCount,
+        dailyCountRemaining: dailyLimits.maxCount === null ? null : Math.max(dailyLimits.maxCount - usage.count, 0)
+      }
+    });
+  } catch (err) {
+    console.error('Transfer history error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error fetching transfers' });
+  }
+});
+
+// POST /api/transfers - Send credits to another user, by username or referral code
+router.post('/transfers', authenticate, idempotency, requireVerifiedEmail, requireTwoFactorOrPassword, async (req, res) => {
+  const { recipient, amount } = req.body;
+  const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+  const parsedAmount = money.parseAmount(amount);
+  if (typeof recipient !== 'string' || !recipient.trim() || parsedAmount === null) {
+    return res.status(400).json({ error: 'A recipient (username or referral code) and a valid positive amount are required.' });
+  }
+  if (money.cmp(parsedAmount, TRANSFER_MIN_AMOUNT) < 0) {
+    return res.status(400).json({ error: `Minimum transfer amount is ${TRANSFER_MIN_AMOUNT} credits.` });
+  }
+  if (note.length > TRANSFER_NOTE_MAX_LENGTH) {
+    return res.status(400).json({ error: `Note cannot be longer than ${TRANSFER_NOTE_MAX_LENGTH} characters.` });
+  }
+
+  try {
+    const [sender, recipientUser] = await Promise.all([
+      User.findById(req.userId).select('_id username credits'),
+      findRecipient(recipient.trim())
+    ]);
+    if (!sender) return res.status(404).json({ error: 'User not found' });
+    if (!recipientUser || !recipientUser.isActive) {
+      return res.status(404).json({ error: 'Recipient not found.' });
+    }
+    if (recipientUser._id.equals(sender._id)) {
+      return res.status(400).json({ error: 'You cannot transfer credits to yourself.' });
+    }
+
+    const fee = transferFee(parsedAmount);
+    const total = money.add(parsedAmount, fee);
+    if (money.cmp(total, sender.credits || 0) > 0) {
+      return res.status(400).json({
+        error: `Insufficient balance. This transfer needs ${total} credits including a fee of ${fee}.`,
+        availableBalance: money.toNumber(sender.credits || 0)
+      });
+    }
+
+    const transferId = new mongoose.Types.ObjectId();
+    const outEntryId = new mongoose.Types.ObjectId();
+    const inEntryId = new mongoose.Types.ObjectId();
+
+    // The daily limit, both balance changes, both ledger entries and the transfer record are
+    // written together or not at all.
+    const outcome = await runInTransaction(async (session) => {
+      if (!await TransferUsage.reserve(sender._id, parsedAmount, dailyLimits, { session })) {
+        rollback({ limitExceeded: true });
+      }
+
+      const updatedSender = await User.findOneAndUpdate(
+        { _id: sender._id, credits: { $gte: total } },
+        { $inc: { credits: money.negate(total), __v: 1 } },
+        { new: true, select: '_id credits', session }
+      );
+      if (!updatedSender) {
+        rollback({ status: 409, error: 'Your balance changed while transferring. Please try again.' });
+      }
+
+      const updatedRecipient = await User.findOneAndUpdate(
+        { _id: recipientUser._id, isActive: true },
+        { $inc: { credits: parsedAmount, __v: 1 } },
+        { new: true, select: '_id', session }
+      );
+      if (!updatedRecipient) rollback({ status: 404, error: 'Recipient not found.' });
+
+      const postings = [
+        { ...accounts.user(sender._id), amount: money.negate(total) },
+        { ...accounts.transfers, amount: parsedAmount }
+      ];
+      if (!money.isZero(fee)) postings.push({ ...accounts.fees, amount: fee });
+      await LedgerEntry.post({
+        _id: outEntryId,
+        type: 'transfer_out',
+        userId: sender._id,
+        postings,
+        source: { kind: 'transfer', id: String(transferId) },
+        description: `Transfer to ${recipientUser.username}${money.isZero(fee) ? '' : ` (fee ${fee})`}`,
+        relatedEntryId: inEntryId,
+        dedupeKey: `transfer_out:${transferId}`
+      }, { session });
+      await LedgerEntry.post({
+        _id: inEntryId,
+        type: 'transfer_in',
+        userId: recipientUser._id,
+        postings: [
+          { ...accounts.transfers, amount: money.negate(parsedAmount) },
+          { ...accounts.user(recipientUser._id), amount: parsedAmount }
+        ],
+        source: { kind: 'transfer', id: String(transferId) },
+        description: `Transfer from ${sender.username}${note ? `: ${note}` : ''}`,
+        relatedEntryId: outEntryId,
+        dedupeKey: `transfer_in:${transferId}`
+      }, { session });
+
+      const [transfer] = await CreditTransfer.create([{
+        _id: transferId,
+        senderId: sender._id,
+        senderUsername: sender.username,
+        recipientId: recipientUser._id,
+        recipientUsername: recipientUser.username,
+        amount: parsedAmount,
+        fee,
+        note: note || undefined,
+        outEntryId,
+        inEntryId
+      }], { session });
+
+      return { transfer, updatedSender };
+    });
+
+    if (outcome.limitExceeded) {
+      const usage = await TransferUsage.getToday(sender._id);
+      return res.status(400).json({
+        error: 'This transfer would exceed your daily transfer limit.',
+        dailyLimit: dailyLimits.maxAmount === null ? null : money.toNumber(dailyLimits.maxAmount),
+        sentToday: money.toNumber(usage.amount),
+        dailyMaxCount: dailyLimits.maxCount,
+        transfersToday: usage.count
+      });
+    }
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    const { transfer, updatedSender } = outcome;
+
+    await SecurityEvent.record(sender._id, 'transfer_sent', {
+      ...getRequestContext(req),
+      details: { transferId: String(transfer._id), amount: parsedAmount, fee, recipientId: String(recipientUser._id), recipientUsername: recipientUser.username }
+    });
+
+    res.status(201).json({
+      message: `✅ Transferred ${parsedAmount} credits to ${recipientUser.username}.`,
+      transfer: formatTransfer(transfer, sender._id),
+      newCreditBalance: money.toNumber(updatedSender.credits)
+    });
+  } catch (err) {
+    console.error('❌ Transfer error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error processing transfer. Please contact support.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// transferUsage.js
+const mongoose = require('mongoose');
+const money = require('./money');
+
+const USAGE_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Credits a user has sent and transfers they have made on one UTC day, so the daily transfer
+// limits can be enforced with a single conditional $inc (like PlanCapacity).
+const transferUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'YYYY-MM-DD' (UTC)
+  day: {
+    type: String,
+    required: true
+  },
+  amount: mongoose.Schema.Types.Decimal128,
+  count: Number,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+transferUsageSchema.index({ userId: 1, day: 1 }, { unique: true });
+transferUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Creates the day's counter outside of any transaction; concurrent inserts of the same
+// unique key would abort a transaction instead of retrying it.
+transferUsageSchema.statics.ensureDay = async function (userId, day) {
+  try {
+    await this.updateOne(
+      { userId, day },
+      { $setOnInsert: { amount: 0, count: 0, expiresAt: new Date(Date.parse(day) + USAGE_RETENTION_MS) } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+};
+
+// Atomically counts a transfer of `amount` against today's limits (null = unlimited).
+// Returns false when it would exceed either of them. With a session, the count is part of
+// that transaction and is undone if it rolls back.
+transferUsageSchema.statics.reserve = async function (userId, amount, { maxAmount, maxCount }, { session } = {}) {
+  if (maxAmount != null && money.cmp(amount, maxAmount) > 0) return false;
+  const day = usageDay();
+  await this.ensureDay(userId, day);
+
+  const filter = { userId, day };
+  if (maxAmount != null) filter.amount = { $lte: money.sub(maxAmount, amount) };
+  if (maxCount != null) filter.count = { $lt: maxCount };
+  const usage = await this.findOneAndUpdate(filter, { $inc: { amount: money.normalize(amount), count: 1 } }, { session });
+  return !!usage;
+};
+
+// { amount, count } used today.
+transferUsageSchema.statics.getToday = async function (userId) {
+  const usage = await this.findOne({ userId, day: usageDay() }).lean();
+  return { amount: money.normalize(usage ? usage.amount : 0), count: usage ? usage.count : 0 };
+};
+
+module.exports = mongoose.model('TransferUsage', transferUsageSchema);
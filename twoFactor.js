@@ -0,0 +1,210 @@
+// twoFactor.js
+const express = require('express');
+const router = express.Router();
+const authenticate = require('./authMiddleware');
+const User = require('./user');
+const { encryptPrivateKey, decryptPrivateKey } = require('./ethereumWalletUtils');
+const SecurityEvent = require('./securityEvent');
+const { hashToken } = require('./tokenUtils');
+const { getRequestContext } = require('./requestUtils');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require('./totp');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Checks a TOTP or recovery code for a user that has 2FA enabled.
+// TOTP steps and recovery codes are consumed atomically so neither can be replayed.
+async function verifyUserTwoFactor(userId, code) {
+  if (!code || typeof code !== 'string') return false;
+
+  const user = await User.findById(userId).select(`_id twoFactorEnabled ${TWO_FACTOR_FIELDS}`);
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+  const step = verifyCode(decryptPrivateKey(user.twoFactorSecret), code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }] },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const recoveryHash = hashToken(normalizeRecoveryCode(code));
+  if ((user.twoFactorRecoveryCodes || []).includes(recoveryHash)) {
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: recoveryHash },
+      { $pull: { twoFactorRecoveryCodes: recoveryHash } }
+    );
+    if (result.modifiedCount === 1) {
+      console.log(`🔐 Recovery code used by user ${user._id}. Remaining: ${user.twoFactorRecoveryCodes.length - 1}`);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function issueRecoveryCodes() {
+  const codes = generateRecoveryCodes();
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+}
+
+router.get('/2fa/status', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('twoFactorEnabled twoFactorEnabledAt +twoFactorRecoveryCodes');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      message: '✅ Two-factor status fetched',
+      twoFactorEnabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt || null,
+      recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+    });
+  } catch (err) {
+    console.error('2FA status error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('_id email twoFactorEnabled');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encryptPrivateKey(secret);
+    await user.save();
+
+    res.json({
+      message: '✅ Scan the QR code with your authenticator app, then confirm with a code to enable two-factor authentication.',
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email)
+    });
+  } catch (err) {
+    console.error('2FA setup error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error during two-factor setup' });
+  }
+});
+
+router.post('/2fa/enable', authenticate, async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'A code from your authenticator app is required.' });
+  }
+
+  try {
+    const user = await User.findById(req.userId).select('_id twoFactorEnabled +twoFactorPendingSecret');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup before enabling it.' });
+    }
+
+    const step = verifyCode(decryptPrivateKey(user.twoFactorPendingSecret), String(code));
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code.' });
+    }
+
+    const recovery = issueRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = recovery.hashes;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+    await SecurityEvent.record(user._id, 'two_factor_enabled', getRequestContext(req));
+
+    res.json({
+      message: '✅ Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: recovery.codes
+    });
+  } catch (err) {
+    console.error('2FA enable error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error while enabling two-factor authentication' });
+  }
+});
+
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  const { code, password } = req.body;
+  if (!code || !password) {
+    return res.status(400).json({ error: 'Password and an authentication code are required.' });
+  }
+
+  try {
+    const user = await User.findById(req.userId).select('_id +password twoFactorEnabled isAdmin');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+    }
+    if (user.isAdmin) {
+      return res.status(403).json({ error: 'Admin accounts must keep two-factor authentication enabled.' });
+    }
+    if (!(await user.comparePassword(password)) || !(await verifyUserTwoFactor(user._id, String(code)))) {
+      return res.status(401).json({ error: 'Invalid password or authentication code.' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastUsedStep: 1, twoFactorEnabledAt: 1 }
+      }
+    );
+
+    await SecurityEvent.record(user._id, 'two_factor_disabled', getRequestContext(req));
+
+    res.json({ message: '✅ Two-factor authentication disabled.' });
+  } catch (err) {
+    console.error('2FA disable error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error while disabling two-factor authentication' });
+  }
+});
+
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'An authentication code is required.' });
+  }
+
+  try {
+    const user = await User.findById(req.userId).select('_id twoFactorEnabled');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+    }
+    if (!(await verifyUserTwoFactor(user._id, String(code)))) {
+      return res.status(401).json({ error: 'Invalid authentication code.' });
+    }
+
+    const recovery = issueRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: recovery.hashes } });
+
+    res.json({
+      message: '✅ New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: recovery.codes
+    });
+  } catch (err) {
+    console.error('2FA recovery code regeneration error for user', req.userId, ':', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  verifyUserTwoFactor
+};
@@ -0,0 +1,86 @@
+// twoFactorMiddleware.js
+const User = require('./user');
+const { verifyUserTwoFactor } = require('./twoFactor');
+const { checkLoginLock, recordLoginFailure, clearLoginFailures } = require('./loginThrottle');
+const { getClientIp } = require('./requestUtils');
+
+// Re-prompts for a 2FA code on sensitive actions. Accounts without 2FA pass through.
+// Wrong codes count towards the login lockout, so a stolen session cannot guess its way in.
+async function requireTwoFactor(req, res, next) {
+  try {
+    const user = await User.findById(req.userId).select('_id twoFactorEnabled');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return next();
+    }
+
+    const code = req.body?.twoFactorCode || req.headers['x-2fa-code'];
+    if (!code) {
+      return res.status(401).json({ error: 'Two-factor authentication code is required for this action.', code: 'TWO_FACTOR_REQUIRED' });
+    }
+
+    const clientIp = getClientIp(req);
+    const lock = await checkLoginLock({ userId: user._id }, clientIp);
+    if (lock.locked) {
+      res.set('Retry-After', String(lock.retryAfterSeconds));
+      return res.status(429).json({ error: 'Too many failed attempts. Please try again later.', retryAfterSeconds: lock.retryAfterSeconds });
+    }
+
+    if (!(await verifyUserTwoFactor(user._id, String(code)))) {
+      await recordLoginFailure({ userId: user._id }, clientIp);
+      return res.status(401).json({ error: 'Invalid two-factor authentication code.', code: 'TWO_FACTOR_INVALID' });
+    }
+
+    await clearLoginFailures({ userId: user._id });
+    next();
+  } catch (err) {
+    console.error('Two-factor check error for user', req.userId, ':', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Like requireTwoFactor, but accounts without 2FA must re-enter their password instead of
+// passing through. Wrong passwords count towards the login lockout.
+async function requireTwoFactorOrPassword(req, res, next) {
+  try {
+    const user = await User.findById(req.userId).select('_id +password twoFactorEnabled');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return requireTwoFactor(req, res, next);
+    }
+
+    const password = req.body?.password;
+    if (!password) {
+      return res.status(401).json({ error: 'Please confirm this action with your password.', code: 'PASSWORD_REQUIRED' });
+    }
+
+    const clientIp = getClientIp(req);
+    const lock = await checkLoginLock({ userId: user._id }, clientIp);
+    if (lock.locked) {
+      res.set('Retry-After', String(lock.retryAfterSeconds));
+      return res.status(429).json({ error: 'Too many failed attempts. Please try again later.', retryAfterSeconds: lock.retryAfterSeconds });
+    }
+
+    if (!(await user.comparePassword(String(password)))) {
+      await recordLoginFailure({ userId: user._id }, clientIp);
+      return res.status(401).json({ error: 'Invalid password.', code: 'PASSWORD_INVALID' });
+    }
+
+    await clearLoginFailures({ userId: user._id });
+    next();
+  } catch (err) {
+    console.error('Password confirmation error for user', req.userId, ':', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = requireTwoFactor;
+module.exports.requireTwoFactorOrPassword = requireTwoFactorOrPassword;
@@ -1,6 +1,13 @@
 // user.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ADMIN_ROLES } = require('./adminPermissions');
+const { earlyUnstakeSchema } = require('./stakingPlan');
+const { STAKE_COMPLETION_ACTIONS } = require('./stakeUtils');
+const { decimalJsonTransform } = require('./money');
+
+// Money is stored as Decimal128 and computed with money.js; JSON output renders it as numbers.
+const Decimal = mongoose.Schema.Types.Decimal128;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -71,18 +78,20 @@ const userSchema = new mongoose.Schema({
     },
     action: {
       type: String,
-      enum: ['registration', 'login', 'transaction', 'other']
+      enum: ['registration', 'login', 'transaction', 'password_reset', 'other']
     }
   }],
   credits: {
-    type: Number,
+    type: Decimal,
     default: 0
   },
   deposits: [{
       txHash: String,
       asset: String,
-      cryptoAmount: Number,
-      usdValue: Number,
+      cryptoAmount: Decimal,
+      usdValue: Decimal,
+      // Price per unit of the asset that usdValue was computed with.
+      priceUsd: Decimal,
       blockNumber: Number,
       fromAddress: String,
       toAddress: String,
@@ -98,30 +107,60 @@ const userSchema = new mongoose.Schema({
       },
       confirmedAt: Date,
       creditedAt: Date,
+      sweepTxHash: String,
+      sweepError: String,
       error: String
   }],
   stakes: [{
     planId: String,
+    planVersion: Number,
     planName: String,
-    amount: Number,
-    reward: Number,
+    rewardPercent: Number,
+    amount: Decimal,
+    reward: Decimal,
     duration: Number,
-    dailyReward: Number,
+    dailyReward: Decimal,
     daysPaid: Number,
+    rewardsPaid: Decimal,
     lastRewardDate: Date,
     startDate: Date,
     endDate: Date,
+    earlyUnstake: earlyUnstakeSchema,
+    onCompletion: {
+      type: String,
+      enum: STAKE_COMPLETION_ACTIONS,
+      default: 'return'
+    },
+    compoundRewards: {
+      type: Boolean,
+      default: false
+    },
+    compoundedRewards: {
+      type: Decimal,
+      default: 0
+    },
+    // Credits this stake holds against the plan's global cap.
+    capacityReserved: Decimal,
+    // Renewals are separate stakes linked in both directions.
+    renewedFromStakeId: mongoose.Schema.Types.ObjectId,
+    renewedToStakeId: mongoose.Schema.Types.ObjectId,
+    renewalSkippedReason: String,
     status: {
       type: String,
-      enum: ['active', 'completed'],
+      enum: ['active', 'completed', 'cancelled'],
       default: 'active',
       index: true
-    }
+    },
+    cancelledAt: Date,
+    unstakeFee: Decimal,
+    unstakePayout: Decimal
   }],
+  // Legacy, capped history. No longer written: the ledger (ledgerEntry.js) is the record of
+  // every balance change. Kept so migrateLedger.js and old documents can still be read.
   creditsHistory: [{
     type: {
       type: String,
-      enum: ['deposit', 'reward', 'referral', 'withdrawal', 'stake', 'admin_adjustment', 'withdrawal_refund']
+      enum: ['deposit', 'reward', 'referral', 'withdrawal', 'stake', 'admin_adjustment', 'withdrawal_refund', 'unstake', 'unstake_fee']
     },
     amount: Number,
     reason: String,
@@ -133,7 +172,7 @@ const userSchema = new mongoose.Schema({
   withdrawals: [{
     id: String,
     asset: String,
-    amount: Number,
+    amount: Decimal,
     withdrawalAddress: String,
     status: {
       type: String,
@@ -157,7 +196,7 @@ const userSchema = new mongoose.Schema({
     index: true
   },
   referralEarnings: {
-    type: Number,
+    type: Decimal,
     default: 0
   },
   isActive: {
@@ -170,21 +209,57 @@ const userSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  adminRoles: {
+    type: [{ type: String, enum: ADMIN_ROLES }],
+    default: []
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
-  emailVerificationToken: String,
+  emailVerificationToken: {
+    type: String,
+    select: false,
+    index: true
+  },
   emailVerificationExpires: Date,
-  passwordResetToken: String,
+  emailVerificationSentAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false,
+    index: true
+  },
   passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorEnabledAt: Date,
   lastLogin: Date,
   loginCount: {
     type: Number,
     default: 0
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { transform: decimalJsonTransform }
 });
 
 userSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
@@ -210,6 +285,12 @@ userSchema.methods.comparePassword = function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Tokens issued before the last password change are no longer accepted.
+userSchema.methods.isTokenIssuedBeforePasswordChange = function (tokenIssuedAtSeconds) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAtSeconds;
+};
+
 userSchema.methods.addIpToHistory = function (ip, action = 'other') {
   this.ipHistory.push({ ip, action, timestamp: new Date() });
   const historyLimit = parseInt(process.env.IP_HISTORY_LIMIT || '50', 10);
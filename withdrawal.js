@@ -3,25 +3,35 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const authenticate = require('./authMiddleware');
+const requireVerifiedEmail = require('./emailVerifiedMiddleware');
+const requireTwoFactor = require('./twoFactorMiddleware');
+const idempotency = require('./idempotencyMiddleware');
 const User = require('./user');
 const { isValidEthereumAddress } = require('./ethereumWalletUtils');
 const { notifyAdminOfError } = require('./errorNotifier');
 const { getPriceInUSD } = require('./priceFetcher');
+const SecurityEvent = require('./securityEvent');
+const LedgerEntry = require('./ledgerEntry');
+const { accounts, move } = require('./ledgerEntry');
+const money = require('./money');
+const { decimalsToNumbers } = require('./money');
+const { getRequestContext } = require('./requestUtils');
+const { runInTransaction, rollback } = require('./transactions');
 
-const MIN_WITHDRAWAL_AMOUNT = parseFloat(process.env.MIN_WITHDRAWAL_AMOUNT || '10.00');
+const MIN_WITHDRAWAL_AMOUNT = money.normalize(process.env.MIN_WITHDRAWAL_AMOUNT || '10.00');
 
 router.get('/withdrawal/balance', authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.userId).select('credits');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    const availableForWithdrawal = user.credits || 0;
+    const availableForWithdrawal = money.toNumber(user.credits || 0);
 
     res.json({
       message: '✅ Balance fetched successfully',
       totalCredits: availableForWithdrawal,
       availableForWithdrawal: availableForWithdrawal,
-      minWithdrawalAmount: MIN_WITHDRAWAL_AMOUNT
+      minWithdrawalAmount: money.toNumber(MIN_WITHDRAWAL_AMOUNT)
     });
   } catch (err) {
     console.error('Withdrawal balance error for user', req.userId, ':', err);
@@ -29,12 +39,12 @@ router.get('/withdrawal/balance', authenticate, async (req, res) => {
   }
 });
 
-router.post('/withdrawal/request', authenticate, async (req, res) => {
+router.post('/withdrawal/request', authenticate, idempotency, requireVerifiedEmail, requireTwoFactor, async (req, res) => {
   const { withdrawalAddress, amount, asset } = req.body;
 
-  const parsedAmount = parseFloat(amount);
+  const parsedAmount = money.parseAmount(amount, { allowZero: true });
 
-  if (!withdrawalAddress || isNaN(parsedAmount) || !asset) {
+  if (!withdrawalAddress || parsedAmount === null || !asset) {
       return res.status(400).json({ error: 'Withdrawal address, a valid numeric amount, and asset type (ETH/USDT) are required.' });
   }
   if (!['ETH', 'USDT'].includes(asset.toUpperCase())) {
@@ -43,77 +53,83 @@ router.post('/withdrawal/request', authenticate, async (req, res) => {
   if (!isValidEthereumAddress(withdrawalAddress)) {
     return res.status(400).json({ error: 'Invalid Ethereum address format.' });
   }
-  if (parsedAmount <= 0) {
+  if (money.isZero(parsedAmount)) {
     return res.status(400).json({ error: 'Amount must be greater than 0.' });
   }
-  if (parsedAmount < MIN_WITHDRAWAL_AMOUNT) {
+  if (money.cmp(parsedAmount, MIN_WITHDRAWAL_AMOUNT) < 0) {
      return res.status(400).json({ error: `Minimum withdrawal amount is ${MIN_WITHDRAWAL_AMOUNT} credits.` });
   }
 
 
   try {
-    const user = await User.findById(req.userId).select('_id username credits withdrawals creditsHistory');
+    const user = await User.findById(req.userId).select('_id username credits withdrawals');
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    const availableForWithdrawal = user.credits || 0;
+    const availableForWithdrawal = money.normalize(user.credits || 0);
 
-    if (parsedAmount > availableForWithdrawal) {
+    if (money.cmp(parsedAmount, availableForWithdrawal) > 0) {
       return res.status(400).json({
         error: `Insufficient balance. Available for withdrawal: ${availableForWithdrawal} credits.`,
-        availableBalance: availableForWithdrawal
+        availableBalance: money.toNumber(availableForWithdrawal)
       });
     }
 
     const withdrawalId = crypto.randomBytes(16).toString('hex');
-    const newHistoryEntry = {
-      type: 'withdrawal',
-      amount: -parsedAmount,
-      reason: `Withdrawal request for ${asset.toUpperCase()} of ${parsedAmount} credits to ${withdrawalAddress}`,
-      date: new Date()
-    };
-
-    const updatedUser = await User.findByIdAndUpdate(req.userId, {
-        $inc: { credits: -parsedAmount },
-        $push: {
-            withdrawals: {
-                id: withdrawalId,
-                amount: parsedAmount,
-                asset: asset.toUpperCase(),
-                withdrawalAddress,
-                status: 'pending',
-                requestDate: new Date(),
-            },
-            creditsHistory: newHistoryEntry
-        }
-    }, { new: true, select: '_id username credits' });
 
+    // The debit only applies while the balance covers it, and the withdrawal record and its
+    // ledger entry are written in the same transaction.
+    const updatedUser = await runInTransaction(async (session) => {
+      const debited = await User.findOneAndUpdate(
+        { _id: req.userId, credits: { $gte: parsedAmount } },
+        {
+          $inc: { credits: money.negate(parsedAmount), __v: 1 },
+          $push: {
+            withdrawals: {
+              id: withdrawalId,
+              amount: parsedAmount,
+              asset: asset.toUpperCase(),
+              withdrawalAddress,
+              status: 'pending',
+              requestDate: new Date(),
+            }
+          }
+        },
+        { new: true, select: '_id username credits', session }
+      );
+      if (!debited) rollback(null);
+
+      await LedgerEntry.post({
+        type: 'withdrawal',
+        userId: debited._id,
+        postings: move(accounts.user(debited._id), accounts.treasury, parsedAmount),
+        source: { kind: 'withdrawal', id: withdrawalId },
+        description: `Withdrawal request for ${asset.toUpperCase()} of ${parsedAmount} credits to ${withdrawalAddress}`,
+        dedupeKey: `withdrawal:${withdrawalId}`
+      }, { session });
+
+      return debited;
+    });
 
     if (!updatedUser) {
-        console.error('Failed to update user for withdrawal request:', req.userId);
-         return res.status(500).json({ error: 'Failed to process withdrawal request.' });
+      return res.status(409).json({ error: 'Your balance changed while requesting the withdrawal. Please try again.' });
     }
 
-    const historyLimit = parseInt(process.env.CREDITS_HISTORY_LIMIT || '1000', 10);
-     const userWithHistory = await User.findById(req.userId).select('creditsHistory');
-     if(userWithHistory && userWithHistory.creditsHistory.length > historyLimit) {
-        userWithHistory.creditsHistory = userWithHistory.creditsHistory.slice(-historyLimit);
-        await userWithHistory.save().catch(saveErr => {
-            console.error(`Error saving withdrawal history limit for ${req.userId}:`, saveErr);
-        });
-     }
-
+    await SecurityEvent.record(updatedUser._id, 'withdrawal_request', {
+        ...getRequestContext(req),
+        details: { withdrawalId, amount: parsedAmount, asset: asset.toUpperCase(), withdrawalAddress }
+    });
 
     try {
         const cryptoPrice = await getPriceInUSD(asset.toUpperCase());
-        const cryptoAmount = cryptoPrice > 0 ? parsedAmount / cryptoPrice : NaN;
+        const cryptoAmount = cryptoPrice > 0 ? money.convertInverse(parsedAmount, cryptoPrice) : null;
 
         await notifyAdminOfError(
             'New Withdrawal Request',
             new Error(`A new withdrawal request is pending manual admin processing.`),
             `User: ${updatedUser.username} (${updatedUser._id})\n` +
-            `Amount: ${parsedAmount.toFixed(2)} Credits (USD)\n` +
+            `Amount: ${parsedAmount} Credits (USD)\n` +
             `Asset: ${asset.toUpperCase()}\n` +
-            `Estimated Crypto Amount: ${isNaN(cryptoAmount) ? 'N/A' : cryptoAmount.toFixed(8)}\n` +
+            `Estimated Crypto Amount: ${cryptoAmount === null ? 'N/A' : cryptoAmount}\n` +
             `To Address: ${withdrawalAddress}\n` +
             `Request ID: ${withdrawalId}`
         );
@@ -126,13 +142,13 @@ router.post('/withdrawal/request', authenticate, async (req, res) => {
       message: '✅ Withdrawal request received and is being processed. This may take up to 24 hours.',
       withdrawal: {
           id: withdrawalId,
-          amount: parsedAmount,
+          amount: money.toNumber(parsedAmount),
           asset: asset.toUpperCase(),
           withdrawalAddress: withdrawalAddress,
           status: 'pending',
           requestDate: new Date(),
       },
-      newCreditBalance: updatedUser.credits,
+      newCreditBalance: money.toNumber(updatedUser.credits),
     });
 
   } catch (err) {
@@ -151,7 +167,7 @@ router.get('/withdrawal/history', authenticate, async (req, res) => {
 
     res.json({
       message: '✅ Withdrawal history fetched successfully',
-      withdrawals: sortedWithdrawals,
+      withdrawals: decimalsToNumbers(sortedWithdrawals),
     });
   } catch (err) {
     console.error('Withdrawal history error for user', req.userId, ':', err);